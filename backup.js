@@ -0,0 +1,122 @@
+import I18n from './i18n.js';
+import Stats from './stats.js';
+import Storage from './storage.js';
+
+export default class Backup {
+    static APP = 'cuble';
+    static VERSION = 1;
+    // Settings are only imported if they were never set on this device
+    static SETTINGS = [
+        'tutorialComplete', 'gameMode', 'archivePuzzle', 'trainerDifficulty', 'dailyOffset', 'maxGuesses', 'hardMode',
+        'palette', 'stickerOverlay', 'feedbackStyle', 'colorScheme', 'language', 'challenge', 'clock', 'timeLimit',
+        'assistant', 'keyMap', 'trainerGame',
+    ];
+
+    /**
+     * Collect everything Cuble keeps in storage.
+     * @param {Storage} storage storage to back up
+     * @returns {object} backup that can be saved as JSON and passed to Backup.import
+     */
+    static export(storage) {
+        const data = {};
+        for (const key of storage.keys()) {
+            if (Backup.isKnownKey(key)) {
+                data[key] = storage.get(key);
+            }
+        }
+        // Make sure the statistics are in the current format, even if no game was recorded since an update
+        data[Stats.KEY] = JSON.stringify(new Stats(storage).data);
+        return { app: Backup.APP, version: Backup.VERSION, exported: new Date().toISOString(), data };
+    }
+
+    static isKnownKey(key) {
+        return Storage.GAME_PREFIX.test(key) || Backup.SETTINGS.includes(key) ||
+            [Storage.VERSION_KEY, Stats.KEY, 'stats', 'dailyResults', 'today'].includes(key);
+    }
+
+    /**
+     * Check that a backup was made by Backup.export.
+     * @param {object} backup parsed backup file
+     */
+    static validate(backup) {
+        if (!backup || typeof backup !== 'object' || backup.app !== Backup.APP) {
+            throw new Error(I18n.t('backup.notBackup'));
+        }
+        if (!backup.data || typeof backup.data !== 'object') {
+            throw new Error(I18n.t('backup.noData'));
+        }
+        if (backup.version > Backup.VERSION || Storage.memory(backup.data).getVersion() > Storage.VERSION) {
+            throw new Error(I18n.t('backup.newer'));
+        }
+        for (const [key, value] of Object.entries(backup.data)) {
+            if (typeof value !== 'string' || !Backup.isKnownKey(key)) {
+                throw new Error(I18n.t('backup.invalidEntry', { key }));
+            }
+        }
+        const stats = JSON.parse(backup.data[Stats.KEY] || 'null');
+        if (!stats || stats.version !== Stats.VERSION || !Array.isArray(stats.games) || !Array.isArray(stats.legacy) ||
+            stats.games.some(game => typeof game.id !== 'string' || !Array.isArray(game.progress))) {
+            throw new Error(I18n.t('backup.damagedStats'));
+        }
+        const results = JSON.parse(backup.data.dailyResults || '{}');
+        if (typeof results !== 'object' || Object.values(results).some(guesses => !Number.isInteger(guesses))) {
+            throw new Error(I18n.t('backup.damagedResults'));
+        }
+    }
+
+    /**
+     * Merge a backup into storage. Statistics and daily results are combined, games in progress are taken
+     * from the backup if they are further along there, and settings are only filled in where missing.
+     * @param {Storage} storage storage to import into, already migrated
+     * @param {object} backup backup made by Backup.export
+     */
+    static import(storage, backup) {
+        try {
+            Backup.validate(backup);
+        } catch (error) {
+            // JSON.parse throws a SyntaxError for damaged entries, and reading damaged statistics a TypeError
+            if (error instanceof SyntaxError || error instanceof TypeError) {
+                throw new Error(I18n.t('backup.damaged'));
+            }
+            throw error;
+        }
+        // Bring backups from older versions up to date before merging
+        const source = Storage.memory(backup.data);
+        source.migrate();
+        new Stats(storage).merge(source.getJSON(Stats.KEY));
+
+        // Keep the best result of every daily
+        const results = storage.getJSON('dailyResults') || {};
+        for (const [number, guesses] of Object.entries(source.getJSON('dailyResults') || {})) {
+            results[number] = Math.min(results[number] || Infinity, guesses);
+        }
+        storage.setJSON('dailyResults', results);
+
+        // Take over whole games, so a game is never mixed from both sides
+        const prefixes = new Set(source.keys().map(key => key.match(Storage.GAME_PREFIX)).filter(match => match)
+            .map(match => match[1]));
+        const today = storage.get('today');
+        for (const prefix of prefixes) {
+            // The daily game in the backup is a different puzzle if the backup is from another day
+            if (prefix === 'daily_' && today && source.get('today') !== today) continue;
+            const game = storage.namespace(prefix);
+            // The games of a hot-seat match are kept together, so a match going on here is never replaced
+            if (prefix === 'hotseat_' && game.get('match')) continue;
+            const local = parseInt(game.get('guesses'));
+            if (!isNaN(local) && local >= parseInt(source.namespace(prefix).get('guesses'))) continue;
+            game.clear();
+            for (const key of source.namespace(prefix).keys()) {
+                game.set(key, source.namespace(prefix).get(key));
+            }
+            if (prefix === 'daily_' && source.get('today')) {
+                storage.set('today', source.get('today'));
+            }
+        }
+
+        for (const key of Backup.SETTINGS) {
+            if (storage.get(key) === null && source.get(key) !== null) {
+                storage.set(key, source.get(key));
+            }
+        }
+    }
+}
@@ -0,0 +1,135 @@
+import seedrandom from 'seedrandom';
+import Game from './game.js';
+import I18n from './i18n.js';
+import Share from './share.js';
+import Timer from './timer.js';
+
+/**
+ * Puzzles that can be sent to friends as a link, so everyone plays the same cube. A challenge either has a
+ * difficulty and a seed, like trainer puzzles, or an explicit state. Challenges are written as codes of URL-safe
+ * characters without underscores, see Storage.GAME_PREFIX.
+ */
+export default class Challenge {
+    static PARAM = 'challenge';
+    // Difficulty used for codes of explicit states
+    static CUSTOM = 'custom';
+    // One character for every piece and orientation a slot can hold
+    static ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz01234567';
+    static SEED = /^[A-Za-z0-9]{1,32}$/;
+
+    /**
+     * @returns {string} seed for a new puzzle
+     */
+    static createSeed() {
+        return Date.now().toString();
+    }
+
+    /**
+     * @param {object} challenge difficulty (one of Game.DIFFICULTIES) and seed, or state
+     * @returns {string} code of the challenge
+     */
+    static encode({ difficulty, seed, state }) {
+        if (state) {
+            const slots = Game.PIECES.map(i => Challenge.ALPHABET.charAt(state[i] * 3 + state[i + 20]));
+            return `${Challenge.CUSTOM}-${slots.join('')}`;
+        }
+        return `${difficulty}-${seed}`;
+    }
+
+    /**
+     * @param {string} code code made by encode
+     * @returns {object} challenge with either difficulty and seed or state
+     */
+    static decode(code) {
+        const parts = String(code).split('-');
+        const [difficulty, rest] = parts;
+        // Codes are used as storage namespaces, so every challenge must have exactly one code
+        if (parts.length !== 2) {
+            throw new Error(I18n.t('challenge.invalid'));
+        }
+        if (difficulty === Challenge.CUSTOM && rest.length === 20) {
+            const values = [...rest].map(character => Challenge.ALPHABET.indexOf(character));
+            const state = [...values.map(value => Math.floor(value / 3)), ...values.map(value => value % 3)];
+            // isSolvable does not check that every piece is used once and edges are only flipped
+            const valid = Game.PIECES.every(i => values[i] !== -1 && (i < 12) === (state[i] < 12) &&
+                (i >= 12 || state[i + 20] < 2)) && new Set(state.slice(0, 20)).size === 20;
+            if (valid && Game.isSolvable(state)) {
+                return { state };
+            }
+        } else if (Object.hasOwn(Game.DIFFICULTIES, difficulty) && Challenge.SEED.test(rest)) {
+            return { difficulty, seed: rest };
+        }
+        throw new Error(I18n.t('challenge.invalid'));
+    }
+
+    /**
+     * @param {object} challenge see encode
+     * @returns {Array<number>} state to guess
+     */
+    static getState(challenge) {
+        if (challenge.state) {
+            return [...challenge.state];
+        }
+        return Game.generateState(seedrandom(challenge.seed), Game.DIFFICULTIES[challenge.difficulty]);
+    }
+
+    /**
+     * @param {object} challenge see encode
+     * @returns {object} pieces that are known to be solved, see Game.getLocks
+     */
+    static getLocks(challenge) {
+        if (challenge.state) {
+            return { pieces: [], orientations: [] };
+        }
+        return Game.getLocks(Game.DIFFICULTIES[challenge.difficulty]);
+    }
+
+    /**
+     * @param {object} challenge see encode
+     * @param {string} page address of the game, without the query
+     * @returns {string} link that opens the challenge
+     */
+    static getLink(challenge, page) {
+        return `${page}?${Challenge.PARAM}=${Challenge.encode(challenge)}`;
+    }
+
+    /**
+     * @param {string} search query of the address of the page
+     * @returns {string|null} code of the challenge the page was opened with
+     */
+    static fromQuery(search) {
+        return new URLSearchParams(search).get(Challenge.PARAM);
+    }
+
+    /**
+     * Read the result a friend shared after playing a challenge, see Share.getText. The heading is in the language
+     * of the friend, so only the code and the numbers at the end of it are read.
+     * @param {string} text shared result
+     * @param {string} code code of the challenge the result has to be for
+     * @returns {object} won, guesses, maxGuesses, hardMode, time (null for games without a clock) and the solved
+     * stickers of every guess
+     */
+    static parseResult(text, code) {
+        const [heading, ...rest] = text.trim().split('\n').map(line => line.trim());
+        const result = heading.match(/(\d+|X)\/(\d+)(\*?)$/);
+        if (!heading.includes(code) || !result) {
+            throw new Error(I18n.t('challenge.otherPuzzle'));
+        }
+        // Timed games have the time right below the heading
+        const clock = rest[0] && rest[0].startsWith(Share.CLOCK) ? rest.shift() : null;
+        // Every guess is a net of 9 lines, after the 2 lines of the piece summary
+        const nets = rest.filter(line => line).slice(2);
+        const stickers = [];
+        for (let i = 0; i + 9 <= nets.length; i += 9) {
+            stickers.push(nets.slice(i, i + 9).join('').split(Share.SQUARES['.']).length - 1);
+        }
+        return {
+            won: result[1] !== 'X',
+            guesses: result[1] === 'X' ? stickers.length : parseInt(result[1]),
+            maxGuesses: parseInt(result[2]),
+            hardMode: result[3] === '*',
+            time: clock && Timer.parse(clock.slice(Share.CLOCK.length).trim()),
+            stickers,
+        };
+    }
+}
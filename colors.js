@@ -1,12 +1,81 @@
 import * as THREE from 'three';
 
-const COLORS = {
-    U: new THREE.Color(0xFFFFFF),
-    R: new THREE.Color(0xEA2003),
-    F: new THREE.Color(0x4DE432),
-    D: new THREE.Color(0xF6ED35),
-    L: new THREE.Color(0xF5921D),
-    B: new THREE.Color(0x62B3E1),
-    X: new THREE.Color(0x444444),
+// Sticker colors of every palette, by color name. Erased stickers are gray.
+export const PALETTES = {
+    classic: {
+        white: 0xFFFFFF, red: 0xEA2003, green: 0x4DE432, yellow: 0xF6ED35, orange: 0xF5921D, blue: 0x62B3E1,
+        erased: 0x444444,
+    },
+    // Okabe-Ito colors, which stay apart with red-green color blindness
+    okabeIto: {
+        white: 0xFFFFFF, red: 0xCC79A7, green: 0x009E73, yellow: 0xF0E442, orange: 0xE69F00, blue: 0x0072B2,
+        erased: 0x444444,
+    },
+    // Colors that differ in brightness as well as hue, which also helps with blue-yellow color blindness
+    highContrast: {
+        white: 0xFFFFFF, red: 0xB2182B, green: 0x1B7837, yellow: 0xFFEE33, orange: 0xFF8C1A, blue: 0x2166AC,
+        erased: 0x222222,
+    },
 };
+
+// Color of every face of the solved cube. Custom schemes use the same format.
+export const SCHEMES = {
+    western: { U: 'white', L: 'orange', F: 'green', R: 'red', B: 'blue', D: 'yellow' },
+    yellowTop: { U: 'yellow', L: 'red', F: 'green', R: 'orange', B: 'blue', D: 'white' },
+    japanese: { U: 'white', L: 'orange', F: 'green', R: 'red', B: 'yellow', D: 'blue' },
+};
+
+export const COLOR_NAMES = ['white', 'yellow', 'red', 'orange', 'green', 'blue'];
+
+let palette = PALETTES.classic;
+let currentScheme = SCHEMES.western;
+
+const COLORS = { X: new THREE.Color(palette.erased) };
+for (const face of 'URFDLB') {
+    COLORS[face] = new THREE.Color(palette[currentScheme[face]]);
+}
+
+function update() {
+    for (const face of 'URFDLB') {
+        COLORS[face].set(palette[currentScheme[face]]);
+    }
+    COLORS.X.set(palette.erased);
+}
+
+/**
+ * Switch every sticker color to another palette. Stickers that are already drawn keep their old colors.
+ * @param {string} name one of PALETTES, unknown names are ignored
+ */
+export function setPalette(name) {
+    if (!PALETTES[name]) return;
+    palette = PALETTES[name];
+    update();
+}
+
+/**
+ * Check that a scheme uses every color exactly once.
+ * @param {object} scheme color name of every face
+ * @returns {boolean} whether the scheme can be used
+ */
+export function isValidScheme(scheme) {
+    return !!scheme && [...'URFDLB'].map(face => scheme[face]).sort().join() === [...COLOR_NAMES].sort().join();
+}
+
+/**
+ * Give every face another color. Stickers that are already drawn keep their old colors.
+ * @param {object} scheme color name of every face, invalid schemes are ignored
+ */
+export function setScheme(scheme) {
+    if (!isValidScheme(scheme)) return;
+    currentScheme = { ...scheme };
+    update();
+}
+
+/**
+ * @returns {object} color name of every face in the scheme in use
+ */
+export function getScheme() {
+    return { ...currentScheme };
+}
+
 export default COLORS;
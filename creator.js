@@ -0,0 +1,73 @@
+import Game from './game.js';
+import I18n from './i18n.js';
+import RubiksCubeSolver from './lib/solver.js';
+import Notation from './notation.js';
+
+/**
+ * Read puzzles set up by hand. A puzzle is given in one of three formats:
+ * - the cubie string of RubiksCubeSolver.setState, like "UF UR UB ... DBR": for every slot in Game.CUBIE_ORDER, the
+ *   colors of the piece in it in the order of the faces in the slot name
+ * - 54 facelet colors as described in Game, optionally separated by spaces
+ * - a move sequence in WCA notation, applied to a solved cube
+ */
+export default class Creator {
+    // Catalog keys of the reasons RubiksCubeSolver gives for rejecting a state
+    static SOLVER_ERRORS = {
+        'Not enough cubies provided': 'creator.count',
+        'Cannot solve: Invalid painting of cube.': 'creator.painting',
+        'Cannot solve: Edges not oriented correctly.': 'creator.edges',
+        'Cannot solve: Corners not oriented correctly': 'creator.corners',
+        'Cannot solve: Parity error only one set of corners or edges swapped.': 'creator.parity',
+    };
+
+    /**
+     * @param {string} text puzzle in any of the formats
+     * @returns {Array<number>} solvable state
+     */
+    static parse(text) {
+        const tokens = text.trim().split(/\s+/);
+        let state;
+        if (tokens.every(token => /^[URFDLB]{2,3}$/.test(token))) {
+            state = Creator.parseCubies(tokens.join(' '));
+        } else if (/^[ULFRBD]{54}$/.test(tokens.join(''))) {
+            state = Creator.parseFacelets(tokens.join(''));
+        } else {
+            state = Notation.apply(Notation.parse(text), [...Game.SOLVED_STATE]);
+        }
+        // The solved cube is the free guess, so it would be won before the first real guess
+        if (state.toString() === Game.SOLVED_STATE.toString()) {
+            throw new Error(I18n.t('creator.solved'));
+        }
+        return state;
+    }
+
+    /**
+     * @param {string} cubies cubie string of RubiksCubeSolver.setState
+     * @returns {Array<number>} solvable state
+     */
+    static parseCubies(cubies) {
+        const solver = new RubiksCubeSolver();
+        if (!solver.setState(cubies)) {
+            throw new Error(I18n.t(Creator.SOLVER_ERRORS[solver.currentState] || 'creator.painting'));
+        }
+        // setState puts any piece in any slot, as long as every piece is used once
+        if (Game.PIECES.some(i => (i < 12) !== (solver.currentState[i] < 12))) {
+            throw new Error(I18n.t('creator.slots'));
+        }
+        return solver.currentState;
+    }
+
+    /**
+     * @param {string} colors 54 facelet colors
+     * @returns {Array<number>} solvable state
+     */
+    static parseFacelets(colors) {
+        // Centers never move, so a face with another center was most likely entered in another order
+        if ([...'ULFRBD'].some((face, i) => colors.charAt(i * 9 + 4) !== face)) {
+            throw new Error(I18n.t('creator.centers'));
+        }
+        const cubies = Game.CUBIE_ORDER.map(name => [...name]
+            .map(face => colors.charAt('ULFRBD'.indexOf(face) * 9 + Game.FACELETS[face].indexOf(name))).join(''));
+        return Creator.parseCubies(cubies.join(' '));
+    }
+}
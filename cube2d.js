@@ -1,4 +1,7 @@
-import COLORS from "./colors";
+import { getScheme } from "./colors.js";
+import Game from "./game.js";
+import I18n from "./i18n.js";
+import Stickers from "./stickers.js";
 
 export default class Cube2D {
     // Canvas height needs to fit 9 cubies; divide by 10 for some margin
@@ -6,12 +9,20 @@ export default class Cube2D {
     // Additional padding between faces
     static PADDING = 5;
     static FACESIZE = Cube2D.SIZE * 3 + Cube2D.PADDING;
+    // How wrong stickers are marked
+    static FEEDBACK_STYLES = ['classic', 'bold'];
+    static feedbackStyle = 'classic';
+
+    // Messages describing each kind of feedback, for screen readers
+    static FEEDBACK_NAMES = { '.': 'feedback.correct', '/': 'feedback.slashed', X: 'feedback.crossed' };
 
     /**
      * Initialize a 2D projection of a cube.
      * @param {object} HTML <canvas> element to draw onto
+     * @param {object|null} table HTML <table> element to write the feedback into as text, for screen readers
      */
-    constructor(canvas) {
+    constructor(canvas, table = null) {
+        this.table = table;
         // Fix to prevent canvas from looking blurry on Retina displays
         canvas.width *= window.devicePixelRatio;
         canvas.height *= window.devicePixelRatio;
@@ -21,21 +32,29 @@ export default class Cube2D {
         this.height = canvas.height;
     }
 
-    drawSquare(x, y, color, feedback) {
-        this.canvas.fillStyle = `rgb(${color.r * 256}, ${color.g * 256}, ${color.b * 256})`;
-        this.canvas.fillRect(x, y, Cube2D.SIZE, Cube2D.SIZE);
+    drawSquare(x, y, face, feedback) {
+        Stickers.draw(this.canvas, x, y, Cube2D.SIZE, Cube2D.SIZE, face);
+        const lines = [];
         if (feedback !== '.') {
-            this.canvas.beginPath();
-            this.canvas.moveTo(x + Cube2D.SIZE, y);
-            this.canvas.lineTo(x, y + Cube2D.SIZE);
-            this.canvas.stroke();
+            lines.push([x + Cube2D.SIZE, y, x, y + Cube2D.SIZE]);
         }
         if (feedback === 'X') {
-            this.canvas.beginPath();
-            this.canvas.moveTo(x, y);
-            this.canvas.lineTo(x + Cube2D.SIZE, y + Cube2D.SIZE);
-            this.canvas.stroke();
+            lines.push([x, y, x + Cube2D.SIZE, y + Cube2D.SIZE]);
+        }
+        // Bold lines are outlined in white so they stand out on dark stickers as well
+        const strokes = Cube2D.feedbackStyle === 'bold' ? [['white', 6], ['black', 3]] : [['black', 1]];
+        this.canvas.save();
+        for (const [color, width] of strokes) {
+            this.canvas.strokeStyle = color;
+            this.canvas.lineWidth = width;
+            for (const [x1, y1, x2, y2] of lines) {
+                this.canvas.beginPath();
+                this.canvas.moveTo(x1, y1);
+                this.canvas.lineTo(x2, y2);
+                this.canvas.stroke();
+            }
         }
+        this.canvas.restore();
     }
 
     drawFace(x, y, colors, feedback) {
@@ -45,7 +64,7 @@ export default class Cube2D {
                 this.drawSquare(
                     x + c * Cube2D.SIZE + c,
                     y + r * Cube2D.SIZE + r,
-                    COLORS[colors[r * 3 + c]],
+                    colors[r * 3 + c],
                     feedback[r * 3 + c]
                 );
             }
@@ -71,41 +90,40 @@ export default class Cube2D {
             );
         }
         this.drawFace(Cube2D.FACESIZE, Cube2D.FACESIZE * 2, guess.slice(45), feedback.slice(45));
+        if (this.table) {
+            this.describeCube(guess, feedback);
+        }
     }
 
-    static getFeedback(guess, answer) {
-        const feedback = [];
-        for (let i = 0; i < 6; i++) {
-            // Count how many each color on the solution face were guessed incorrectly
-            // This is used to distinguish "gray" versus "yellow" feedback
-            const edgeColorsAvailable = { U: 0, L: 0, F: 0, R: 0, B: 0, D: 0 };
-            const cornerColorsAvailable = { U: 0, L: 0, F: 0, R: 0, B: 0, D: 0 };
-            for (let j = 0; j < 9; j++) {
-                const index = i * 9 + j;
-                if (guess[index] !== answer[index]) {
-                    if (j % 2 === 0) {
-                        cornerColorsAvailable[answer[index]]++;
-                    } else {
-                        edgeColorsAvailable[answer[index]]++;
-                    }
-                }
-            }
+    /**
+     * Write the colors and feedback of every sticker into the table, one row per face.
+     * @param {Array<string>} guess 54 facelet colors of the guess
+     * @param {Array<string>} feedback 54 feedback characters
+     */
+    describeCube(guess, feedback) {
+        this.table.replaceChildren();
+        this.table.createCaption().innerText = I18n.t('feedback.caption');
+        const header = this.table.createTHead().insertRow();
+        header.appendChild(document.createElement('th')).innerText = I18n.t('feedback.face');
+        for (let j = 0; j < 9; j++) {
+            header.appendChild(document.createElement('th')).innerText = I18n.t(`position.${j}`);
+        }
+        const body = this.table.createTBody();
+        [...'ULFRBD'].forEach((face, i) => {
+            const row = body.insertRow();
+            const th = row.appendChild(document.createElement('th'));
+            th.scope = 'row';
+            th.innerText = I18n.t(`face.${face}`);
             for (let j = 0; j < 9; j++) {
-                const index = i * 9 + j;
-                if (guess[index] === answer[index]) {
-                    feedback.push('.');
-                } else {
-                    // Check if this color exists on another facelet of the same type
-                    if (j % 2 === 0 && cornerColorsAvailable[guess[index]]-- > 0) {
-                        feedback.push('/');
-                    } else if (j % 2 !== 0 && edgeColorsAvailable[guess[index]]-- > 0) {
-                        feedback.push('/');
-                    } else {
-                        feedback.push('X');
-                    }
-                }
+                row.insertCell().innerText = I18n.t('feedback.sticker', {
+                    color: I18n.t(`color.${getScheme()[guess[i * 9 + j]]}`),
+                    feedback: I18n.t(Cube2D.FEEDBACK_NAMES[feedback[i * 9 + j]]),
+                });
             }
-        }
-        return feedback;
+        });
+    }
+
+    static getFeedback(guess, answer) {
+        return Game.getFeedback(guess, answer);
     }
 }
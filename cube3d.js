@@ -1,15 +1,20 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
 import RubiksCubeSolver from './lib/solver.js';
+import { getScheme } from './colors.js';
 import Cubie from './cubie.js';
-import COLORS from './colors.js';
+import Game from './game.js';
+import I18n from './i18n.js';
+import Notation from './notation.js';
+import Parity from './parity.js';
+import Stickers from './stickers.js';
+import Storage from './storage.js';
 
 export default class Cube3D {
     // Order used for permutation/orientation arrays (only edges + corners)
-    static CUBIE_ORDER = [
-        'UF', 'UR', 'UB', 'UL', 'DF', 'DR', 'DB', 'DL', 'FR', 'FL', 'BR', 'BL',
-        'UFR', 'URB', 'UBL', 'ULF', 'DRF', 'DFL', 'DLB', 'DBR'
-    ];
+    static CUBIE_ORDER = Game.CUBIE_ORDER;
+
+    static SOLVED_STATE = Game.SOLVED_STATE;
 
     // 3D grid coordinates (0..2) for every non-center cubie used by navigation.
     static CUBIE_COORDINATES = {
@@ -57,9 +62,38 @@ export default class Cube3D {
 
     savedCubies = [];
 
+    // Ignore clicks on the cubies once the game is over
+    readOnly = false;
+
+    // Indices of pieces whose permutation or orientation is known and cannot be edited, see Game.getLocks
+    locks = { pieces: [], orientations: [] };
+
+    // Namespace the guess being edited is saved in, see Storage.namespace
+    storage = Storage.memory();
+
+    // What the feedback so far rules out, see Deduction, or null while the assistant is off
+    deduction = null;
+
+    // States before each edit of the current guess, and edits that were undone
+    undoStack = [];
+    redoStack = [];
+
     // Throttle the viewport to 10 FPS when not rotating to save power
     throttle = true;
 
+    // Marks the cubies a parity fix would change
+    static HIGHLIGHT_GEOMETRY = new THREE.BoxGeometry();
+    static HIGHLIGHT_MATERIAL = new THREE.MeshBasicMaterial({
+        color: 'yellow', transparent: true, opacity: 0.35, depthWrite: false
+    });
+
+    // Milliseconds a single layer turn takes
+    static TURN_DURATION = 300;
+
+    // Pending layer turns, played one after another
+    turns = Promise.resolve();
+    turning = false;
+
     permutation = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19];
     orientation = new Array(20).fill(0);
 
@@ -78,9 +112,9 @@ export default class Cube3D {
         this.renderer.setSize(window.innerWidth, window.innerHeight);
         this.renderer.setPixelRatio(window.devicePixelRatio || 1);
 
-        const controls = new OrbitControls(this.camera, this.renderer.domElement);
-        controls.enablePan = false;
-        controls.enableZoom = false;
+        this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+        this.controls.enablePan = false;
+        this.controls.enableZoom = false;
 
         // Selection highlight (moved to the selected cubie's position)
         this.selection = new THREE.Mesh(
@@ -93,6 +127,9 @@ export default class Cube3D {
         this.scene.add(this.selection);
 
         document.body.appendChild(this.renderer.domElement);
+        // The selected piece is announced through #announcer, since a screen reader can't see into the canvas
+        this.renderer.domElement.setAttribute('role', 'img');
+        this.renderer.domElement.setAttribute('aria-label', I18n.t('cube.label'));
         this.animate();
 
         // Create 3x3x3 cubies. The CUBIES list contains center names
@@ -121,8 +158,8 @@ export default class Cube3D {
         });
         this.renderer.domElement.addEventListener('pointerup', (ev) => {
             this.throttle = true;
-            // If UI shows final action button only, ignore input
-            if (document.getElementById('actions').childElementCount === 1) return;
+            // Once the game is over, the cube can only be looked at
+            if (this.readOnly) return;
             // If pointer moved, this was a rotate, not a cubie click
             if (Math.hypot(ev.clientX - this.cursorPos[0],
                 ev.clientY - this.cursorPos[1]) > 1) return;
@@ -155,6 +192,8 @@ export default class Cube3D {
     initPicker(cubie, keepSelection) {
         // Manage picker UI and selection highlight.
         const picker = document.getElementById('picker');
+        // Pieces that can be put in the selected spot, for keyboard control
+        this.pickerPieces = [];
         const erase = document.getElementById('erase');
         const rotate = document.getElementById('rotate');
 
@@ -167,6 +206,7 @@ export default class Cube3D {
             erase.disabled = true;
             rotate.disabled = true;
             picker.replaceChildren();
+            this.announce(this.describeCubie(cubie));
             return;
         }
 
@@ -182,15 +222,19 @@ export default class Cube3D {
             this.selection.visible = false;
             erase.disabled = true;
             rotate.disabled = true;
+            this.announce(I18n.t('cube.nothingSelected'));
             return;
         }
 
         this.selection.position.copy(cubie.position);
         this.selection.visible = true;
         this.selection.material.opacity = 0.5;
+        this.announce(this.describeCubie(cubie));
 
         // Do not allow modifying pieces that are already correct.
-        if (this.correct(stateIndex)) {
+        const pieceLocked = this.locks.pieces.includes(stateIndex);
+        const orientationLocked = this.locks.orientations.includes(stateIndex);
+        if (this.correct(stateIndex) || (pieceLocked && orientationLocked)) {
             erase.disabled = true;
             rotate.disabled = true;
             this.selection.material.opacity = 0.25;
@@ -208,7 +252,9 @@ export default class Cube3D {
             CUBIES.push('UBL', 'ULF', 'UFR', 'URB', 'DLB', 'DFL', 'DRF', 'DBR');
         }
 
-        for (const piece of CUBIES) {
+        // Pieces known to be in place can only be rotated
+        this.pickerPieces = pieceLocked ? [] : CUBIES;
+        for (const piece of this.pickerPieces) {
             // Create button + canvas preview
             const buttonsPerRow = (piece.length === 2) ? 6 : 4;
             const button = picker.appendChild(document.createElement('button'));
@@ -217,46 +263,251 @@ export default class Cube3D {
                 buttonsPerRow + 'px';
 
             const canvas = button.appendChild(document.createElement('canvas'));
+            canvas.setAttribute('aria-hidden', true);
             canvas.width = button.clientWidth;
             canvas.height = button.clientHeight;
             const ctx = canvas.getContext('2d');
 
             for (let i = 0; i < piece.length; i++) {
-                const color = COLORS[piece.charAt(i)];
                 const perWidth = canvas.width / piece.length;
-                ctx.fillStyle = `rgb(${color.r * 256}, ${color.g * 256}, ${color.b * 256})`;
-                ctx.fillRect(perWidth * i, 0, perWidth, canvas.height);
+                Stickers.draw(ctx, perWidth * i, 0, perWidth, canvas.height, piece.charAt(i));
             }
 
             button.disabled = this.permutation.includes(Cube3D.getStateIndex(piece));
-            button.onclick = () => {
-                cubie.setColors(piece);
-                this.permutation[stateIndex] = Cube3D.getStateIndex(piece);
-                this.orientation[stateIndex] = 0;
-                this.initPicker(cubie, true);
-                this.updateParity();
-            };
+            // Dim pieces the feedback rules out, but still allow them
+            button.classList.toggle('ruled-out', this.deduction !== null &&
+                !this.deduction.getPieces(stateIndex).includes(Cube3D.getStateIndex(piece)));
+            const colors = [...piece].map(face => I18n.t(`color.${getScheme()[face]}`)).join(', ');
+            button.setAttribute('aria-label', I18n.t(button.classList.contains('ruled-out') ? 'picker.ruledOut' :
+                'picker.piece', { piece, colors }));
+            button.onclick = () => this.placePiece(cubie, piece);
         }
 
-        erase.disabled = false;
+        erase.disabled = pieceLocked;
         erase.onclick = () => {
+            this.recordEdit();
             cubie.erase();
             this.permutation[stateIndex] = -1;
             this.initPicker(cubie, true);
             this.updateParity();
         };
 
-        rotate.disabled = false;
+        rotate.disabled = orientationLocked;
         rotate.onclick = () => {
+            this.recordEdit();
             cubie.rotate();
             this.orientation[stateIndex]--;
             if (this.orientation[stateIndex] < 0) {
                 this.orientation[stateIndex] = cubie.name.length - 1;
             }
+            this.announce(this.describeCubie(cubie));
             this.updateParity();
         };
     }
 
+    /**
+     * Describe the spot of a cubie and the piece in it, for screen readers.
+     * @param {Cubie} cubie cubie to describe
+     * @returns {string} description, for example "UF: white on top, green on front."
+     */
+    describeCubie(cubie) {
+        const stickers = [...cubie.name].map((face, i) => I18n.t('cube.sticker', {
+            color: cubie.colors.charAt(i) === 'X' ? I18n.t('cube.emptySticker') :
+                I18n.t(`color.${getScheme()[cubie.colors.charAt(i)]}`),
+            face: I18n.t(`face.${face}`),
+        })).join(', ');
+        if (this.isCenterName(cubie.name)) {
+            return I18n.t('cube.center', { name: cubie.name, stickers });
+        }
+        const stateIndex = Cube3D.getStateIndex(cubie.name);
+        if (this.permutation[stateIndex] === -1) {
+            return I18n.t('cube.emptySpot', { name: cubie.name });
+        }
+        let description = I18n.t('cube.spot', { name: cubie.name, stickers });
+        if (this.correct(stateIndex) || (this.locks.pieces.includes(stateIndex) &&
+            this.locks.orientations.includes(stateIndex))) {
+            description += ' ' + I18n.t('cube.locked');
+        } else if (this.locks.pieces.includes(stateIndex)) {
+            description += ' ' + I18n.t('cube.pieceLocked');
+        }
+        return description;
+    }
+
+    // Read a short text out to screen readers
+    announce(text) {
+        document.getElementById('announcer').innerText = text;
+    }
+
+    /**
+     * Put a piece in the spot of a cubie, as if it was picked in the picker.
+     * @param {Cubie} cubie cubie whose spot to fill
+     * @param {string} piece name of the piece, from CUBIE_ORDER
+     * @param {number} orientation orientation of the piece, as stored in the state
+     */
+    placePiece(cubie, piece, orientation = 0) {
+        const stateIndex = Cube3D.getStateIndex(cubie.name);
+        this.recordEdit();
+        this.permutation[stateIndex] = Cube3D.getStateIndex(piece);
+        this.orientation[stateIndex] = orientation;
+        cubie.setColors(Cube3D.getPieceColors(this.permutation[stateIndex], orientation));
+        this.initPicker(cubie, true);
+        this.updateParity();
+    }
+
+    getSelectedCubie() {
+        if (!this.selection.visible) return null;
+        return this.savedCubies.find(cubie => cubie.position.equals(this.selection.position)) || null;
+    }
+
+    /**
+     * Put the next or previous unused piece of the picker in the selected spot.
+     * @param {number} step 1 for the next piece, -1 for the previous one
+     */
+    cyclePiece(step) {
+        const cubie = this.getSelectedCubie();
+        if (this.readOnly || !cubie || this.pickerPieces.length === 0) return;
+        const current = this.permutation[Cube3D.getStateIndex(cubie.name)];
+        const pieces = this.pickerPieces;
+        let i = pieces.findIndex(piece => Cube3D.getStateIndex(piece) === current);
+        for (let tries = 0; tries < pieces.length; tries++) {
+            i = (i + step + pieces.length) % pieces.length;
+            if (!this.permutation.includes(Cube3D.getStateIndex(pieces[i]))) {
+                this.placePiece(cubie, pieces[i]);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Put a piece in the selected spot by its colors, listed in the order of the faces in the name of the spot.
+     * For example, typing FU in the UF spot puts the UF edge in flipped.
+     * @param {string} colors colors of the piece, such as UFR or RUF
+     */
+    typePiece(colors) {
+        const cubie = this.getSelectedCubie();
+        colors = colors.trim().toUpperCase();
+        if (this.readOnly || !cubie || this.pickerPieces.length === 0) {
+            throw new Error(I18n.t('typePiece.select'));
+        }
+        for (const piece of this.pickerPieces) {
+            for (let orientation = 0; orientation < piece.length; orientation++) {
+                if (Cube3D.getPieceColors(Cube3D.getStateIndex(piece), orientation) !== colors) continue;
+                const index = this.permutation.indexOf(Cube3D.getStateIndex(piece));
+                if (index !== -1 && index !== Cube3D.getStateIndex(cubie.name)) {
+                    throw new Error(I18n.t('typePiece.used', { piece }));
+                }
+                this.placePiece(cubie, piece, orientation);
+                return;
+            }
+        }
+        throw new Error(I18n.t(cubie.name.length === 2 ? 'typePiece.noEdge' : 'typePiece.noCorner', { colors }));
+    }
+
+    /**
+     * Turn the camera a quarter around the cube, or look at it from the other side of the U/D axis. The view snaps
+     * to the nearest corner first.
+     * @param {string} direction 'left', 'right' or 'flip'
+     */
+    turnView(direction) {
+        const distance = this.camera.position.length() / Math.sqrt(3);
+        let [x, y, z] = this.camera.position.toArray().map(coordinate => Math.sign(coordinate) || 1);
+        if (direction === 'left') {
+            [x, z] = [-z, x];
+        } else if (direction === 'right') {
+            [x, z] = [z, -x];
+        } else {
+            y = -y;
+        }
+        this.camera.position.set(x * distance, y * distance, z * distance);
+        this.controls.update();
+    }
+
+    /**
+     * Remember the current state so the edit about to be made can be undone.
+     */
+    recordEdit() {
+        this.undoStack.push([...this.permutation, ...this.orientation]);
+        this.redoStack = [];
+        this.updateEditButtons();
+    }
+
+    undo() {
+        this.restoreEdit(this.undoStack, this.redoStack);
+    }
+
+    redo() {
+        this.restoreEdit(this.redoStack, this.undoStack);
+    }
+
+    restoreEdit(from, to) {
+        if (this.readOnly || from.length === 0) return;
+        to.push([...this.permutation, ...this.orientation]);
+        this.setState(from.pop());
+        this.refreshPicker();
+        this.updateParity();
+        this.updateEditButtons();
+    }
+
+    // Rebuild the picker of the selected cubie, whose piece may have changed
+    refreshPicker() {
+        if (this.selection.visible) {
+            this.initPicker(this.getSelectedCubie(), true);
+        }
+    }
+
+    // Start a new edit history, for example after a guess was submitted
+    clearEdits() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.updateEditButtons();
+    }
+
+    updateEditButtons() {
+        const undo = document.getElementById('undo');
+        const redo = document.getElementById('redo');
+        if (undo) undo.disabled = this.undoStack.length === 0;
+        if (redo) redo.disabled = this.redoStack.length === 0;
+    }
+
+    /**
+     * Label every cubie with the number of pieces and orientations it could still hold.
+     * @param {Deduction|null} deduction what the feedback rules out, or null to remove the labels
+     */
+    showCandidates(deduction) {
+        this.deduction = deduction;
+        for (const cubie of this.savedCubies) {
+            if (this.isCenterName(cubie.name)) continue;
+            cubie.setLabel(deduction && String(deduction.getCounts()[Cube3D.getStateIndex(cubie.name)]));
+        }
+    }
+
+    /**
+     * Put every piece the feedback forces into its slot, erasing it wherever else it was used.
+     */
+    fillForced() {
+        if (this.readOnly || this.deduction === null) return;
+        this.recordEdit();
+        const permutation = [...this.permutation];
+        const orientation = [...this.orientation];
+        for (const { slot, piece, orientation: forced } of this.deduction.getForced()) {
+            const holder = permutation.indexOf(piece);
+            if (holder !== -1 && holder !== slot) {
+                permutation[holder] = -1;
+            }
+            // Keep the orientation of a piece that was already in place unless it is ruled out
+            const orientations = this.deduction.getOrientations(slot);
+            if (forced !== null) {
+                orientation[slot] = forced;
+            } else if (permutation[slot] !== piece || !orientations.includes(orientation[slot])) {
+                orientation[slot] = orientations[0];
+            }
+            permutation[slot] = piece;
+        }
+        this.setState([...permutation, ...orientation]);
+        this.refreshPicker();
+        this.updateParity();
+    }
+
     updateParity() {
         const solver = new RubiksCubeSolver();
         solver.currentState = [...this.permutation, ...this.orientation];
@@ -264,66 +515,201 @@ export default class Cube3D {
         const cp = solver.cornerParity();
         const pp = solver.permutationParity();
 
+        // Pieces that are known to be right are never suggested for a fix
+        const correct = Game.PIECES.filter(index => this.correct(index));
+        const { problems, fixes } = Parity.diagnose([...this.permutation, ...this.orientation], {
+            pieces: [...correct, ...this.locks.pieces],
+            orientations: [...correct, ...this.locks.orientations],
+        }, this.deduction);
+
         const parityEl = document.getElementById('parity');
-        parityEl.innerText = `EP: ${ep}, CP: ${cp}, PP: ${pp}`;
+        parityEl.innerText = [`EP: ${ep}, CP: ${cp}, PP: ${pp}`, problems.join(' ')].join('\n').trim();
         parityEl.style.color = (ep || cp || pp) ? 'red' : 'white';
+        this.showFixes(fixes);
+    }
+
+    /**
+     * Offer buttons that apply parity fixes, highlighting the cubies each one changes.
+     * @param {Array<object>} fixes fixes from Parity.diagnose
+     */
+    showFixes(fixes) {
+        const container = document.getElementById('parity-fixes');
+        container.replaceChildren();
+        const all = [...new Set(fixes.flatMap(fix => fix.slots))];
+        this.highlight(all);
+        for (const fix of fixes) {
+            const button = container.appendChild(document.createElement('button'));
+            button.classList.add('action');
+            button.innerText = fix.description;
+            button.onmouseenter = button.onfocus = () => this.highlight(fix.slots);
+            button.onmouseleave = button.onblur = () => this.highlight(all);
+            button.onclick = () => {
+                if (this.readOnly) return;
+                this.recordEdit();
+                this.setState(fix.state);
+                this.refreshPicker();
+                this.updateParity();
+            };
+        }
+    }
+
+    /**
+     * Mark cubies in the scene, replacing the previous marks.
+     * @param {Array<number>} slots indices into CUBIE_ORDER of the cubies to mark
+     */
+    highlight(slots) {
+        if (!this.highlights) {
+            this.highlights = new THREE.Group();
+            this.scene.add(this.highlights);
+        }
+        this.highlights.remove(...this.highlights.children);
+        for (const slot of slots) {
+            const cubie = this.savedCubies.find(cubie => cubie.name === Cube3D.CUBIE_ORDER[slot]);
+            const mark = new THREE.Mesh(Cube3D.HIGHLIGHT_GEOMETRY, Cube3D.HIGHLIGHT_MATERIAL);
+            mark.position.copy(cubie.position);
+            this.highlights.add(mark);
+        }
     }
 
     correct(index) {
-        const getStorageKey = window.getStorageKey || (k => k);
-        const lastPermutationData = localStorage.getItem(getStorageKey('permutation'));
-        const lastOrientationData = localStorage.getItem(getStorageKey('orientation'));
+        const lastPermutation = this.storage.getJSON('permutation');
+        const lastOrientation = this.storage.getJSON('orientation');
 
-        if (!lastPermutationData || !lastOrientationData) {
+        if (!lastPermutation || !lastOrientation) {
             return false;
         }
 
-        const lastPermutation = JSON.parse(lastPermutationData);
-        const lastOrientation = JSON.parse(lastOrientationData);
         return lastPermutation[index] === this.answerPermutation[index] &&
             lastOrientation[index] === this.answerOrientation[index];
     }
 
     save() {
-        const getStorageKey = window.getStorageKey || (k => k);
+        const colors = {};
         for (const savedCubie of this.savedCubies) {
-            localStorage.setItem(getStorageKey(savedCubie.name), savedCubie.colors);
+            colors[savedCubie.name] = savedCubie.colors;
         }
-        localStorage.setItem(getStorageKey('permutation'), JSON.stringify(this.permutation));
-        localStorage.setItem(getStorageKey('orientation'), JSON.stringify(this.orientation));
+        this.storage.setJSON('cubies', colors);
+        this.storage.setJSON('permutation', this.permutation);
+        this.storage.setJSON('orientation', this.orientation);
     }
 
     load() {
-        const getStorageKey = window.getStorageKey || (k => k);
+        const savedColors = this.storage.getJSON('cubies') || {};
         for (const savedCubie of this.savedCubies) {
-            const savedColors = localStorage.getItem(getStorageKey(savedCubie.name));
-            savedCubie.setColors(savedColors || savedCubie.name);
+            savedCubie.setColors(savedColors[savedCubie.name] || savedCubie.name);
         }
 
-        const savedPermutation = localStorage.getItem(getStorageKey('permutation'));
-        this.permutation = savedPermutation ? JSON.parse(savedPermutation) :
+        this.permutation = this.storage.getJSON('permutation') ||
             [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19];
 
-        const savedOrientation = localStorage.getItem(getStorageKey('orientation'));
-        this.orientation = savedOrientation ? JSON.parse(savedOrientation) :
+        this.orientation = this.storage.getJSON('orientation') ||
             new Array(20).fill(0);
     }
 
     static getStateIndex(cubie) {
-        return Cube3D.CUBIE_ORDER.indexOf(cubie);
+        return Game.getStateIndex(cubie);
     }
 
-    navigateWASD(direction) {
-        if (!this.selection.visible) return;
+    /**
+     * Get the colors a cubie shows when it holds the given piece, in the format used by Cubie.setColors.
+     * @param {number} piece index into CUBIE_ORDER
+     * @param {number} orientation orientation of the piece, as stored in the state
+     * @returns {string} colors of the cubie
+     */
+    static getPieceColors(piece, orientation) {
+        const name = Cube3D.CUBIE_ORDER[piece];
+        // Every Cubie.rotate decrements the orientation while shifting the colors one to the left
+        const shift = (name.length - orientation) % name.length;
+        return name.substring(shift) + name.substring(0, shift);
+    }
+
+    /**
+     * Replace the current state of the cube and repaint it.
+     * @param {Array<number>} state 40 numbers: the permutation followed by the orientation
+     */
+    setState(state) {
+        this.permutation = state.slice(0, 20);
+        this.orientation = state.slice(20);
+        this.paintState(state);
+    }
+
+    /**
+     * Turn layers of the cube, keeping permutation and orientation in sync.
+     * Turns are queued, so calling this again before the previous turns finish plays them afterwards.
+     * @param {string} sequence moves in WCA notation, see Notation.parse
+     * @param {boolean} animated whether to tween the layers or apply the moves instantly
+     * @returns {Promise} resolves once all moves of the sequence are applied
+     */
+    move(sequence, animated = true) {
+        const moves = Notation.parse(sequence);
+        for (const move of moves) {
+            this.turns = this.turns.then(() => animated ? this.turn(move) : this.applyMove(move));
+        }
+        return this.turns;
+    }
+
+    turn(move) {
+        return new Promise(resolve => {
+            // Temporarily move the turning layers into a group and rotate the group around the origin
+            const pivot = new THREE.Group();
+            const layer = this.savedCubies.filter(cubie =>
+                move.layers.includes(Math.round(cubie.position[move.axis])));
+            for (const cubie of layer) {
+                pivot.add(cubie);
+            }
+            this.scene.add(pivot);
+            this.turning = true;
+            const start = performance.now();
+            const step = now => {
+                const progress = Math.min((now - start) / Cube3D.TURN_DURATION, 1);
+                // Ease in and out
+                pivot.rotation[move.axis] = move.angle * (1 - Math.cos(Math.PI * progress)) / 2;
+                if (progress < 1) {
+                    requestAnimationFrame(step);
+                    return;
+                }
+                // Put the cubies back in their slots and repaint them instead
+                for (const cubie of layer) {
+                    this.scene.add(cubie);
+                }
+                this.scene.remove(pivot);
+                this.turning = false;
+                this.applyMove(move);
+                resolve();
+            };
+            requestAnimationFrame(step);
+        });
+    }
+
+    applyMove(move) {
+        this.setState(Notation.apply([move], [...this.permutation, ...this.orientation]));
+    }
 
-        // Find the currently selected cubie object
-        let currentCubie = null;
+    /**
+     * Recolor every cubie to show the given state. The guess in permutation/orientation is left untouched.
+     * @param {Array<number>} state 40 numbers: the permutation followed by the orientation
+     */
+    paintState(state) {
         for (const cubie of this.savedCubies) {
-            if (cubie.position.equals(this.selection.position)) {
-                currentCubie = cubie;
-                break;
+            if (this.isCenterName(cubie.name)) continue;
+            const index = Cube3D.getStateIndex(cubie.name);
+            if (state[index] === -1) {
+                cubie.erase();
+            } else {
+                cubie.setColors(Cube3D.getPieceColors(state[index], state[index + 20]));
             }
         }
+    }
+
+    navigateWASD(direction) {
+        if (this.readOnly) return;
+        // Start from the UF edge when nothing is selected yet
+        if (!this.selection.visible) {
+            this.initPicker(this.savedCubies.find(cubie => cubie.name === 'UF'));
+            return;
+        }
+
+        const currentCubie = this.getSelectedCubie();
         if (!currentCubie || this.isCenterName(currentCubie.name)) return;
 
         // Use adjacency map (only edges & corners are present there)
@@ -406,11 +792,12 @@ export default class Cube3D {
         pointer.y = -(event.clientY / window.innerHeight) * 2 + 1;
         const raycaster = new THREE.Raycaster();
         raycaster.setFromCamera(pointer, this.camera);
-        return raycaster.intersectObjects(this.scene.children)[0];
+        // Only the cubies themselves, not the selection, highlights or labels
+        return raycaster.intersectObjects(this.savedCubies, false)[0];
     }
 
     animate() {
-        if (this.throttle) {
+        if (this.throttle && !this.turning) {
             setTimeout(() => {
                 requestAnimationFrame(() => this.animate());
             }, 1000 / 10);
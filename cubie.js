@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import COLORS from './colors.js';
+import Stickers from './stickers.js';
 
 export default class Cubie extends THREE.Mesh {
     /**
@@ -47,7 +48,7 @@ export default class Cubie extends THREE.Mesh {
      */
     setColors(colors) {
         if (colors.length !== this.name.length) {
-            throw `Expected ${this.name.length} colors but got ${colors}.`;
+            throw new Error(`Expected ${this.name.length} colors but got ${colors}.`);
         }
         this.colors = colors;
         // Set appropriate colors on correct faces
@@ -64,6 +65,35 @@ export default class Cubie extends THREE.Mesh {
             }
         }
         this.geometry.attributes.color.needsUpdate = true;
+
+        // Vertex colors can't show marks, so every face gets a textured material instead
+        if (Stickers.overlay !== 'none') {
+            // Same order as the face groups of BoxGeometry
+            this.material = [...'RLUDFB'].map(face => {
+                const i = this.name.indexOf(face);
+                return Cubie.getMaterial(i === -1 ? null : colors.charAt(i));
+            });
+        }
+    }
+
+    /**
+     * Get the material of a sticker with the current overlay. Materials are shared between all cubies.
+     * @param {string|null} color color of the sticker, or null for a face inside the cube
+     * @returns {THREE.Material} material
+     */
+    static getMaterial(color) {
+        Cubie.materials = Cubie.materials || {};
+        if (!Cubie.materials[color]) {
+            if (color === null) {
+                Cubie.materials[color] = new THREE.MeshBasicMaterial({ color: 0x000000 });
+            } else {
+                const canvas = document.createElement('canvas');
+                canvas.width = canvas.height = 64;
+                Stickers.draw(canvas.getContext('2d'), 0, 0, 64, 64, color);
+                Cubie.materials[color] = new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(canvas) });
+            }
+        }
+        return Cubie.materials[color];
     }
 
     /**
@@ -79,4 +109,35 @@ export default class Cubie extends THREE.Mesh {
     rotate() {
         this.setColors(this.colors.substring(1) + this.colors.charAt(0));
     }
+
+    /**
+     * Show a short text next to the cubie, facing the camera, or remove it.
+     * @param {string|null} text text to show, or null to remove the label
+     */
+    setLabel(text) {
+        if (this.label) {
+            this.remove(this.label);
+            this.label.material.map.dispose();
+            this.label.material.dispose();
+            this.label = null;
+        }
+        if (text === null) return;
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.beginPath();
+        ctx.arc(32, 32, 30, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.fillStyle = 'white';
+        ctx.font = 'bold 36px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, 32, 34);
+        this.label = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas) }));
+        // Just outside the stickers, in the direction of the cubie from the center of the cube
+        this.label.position.copy(this.position).normalize();
+        this.label.scale.set(.4, .4, .4);
+        this.add(this.label);
+    }
 }
@@ -0,0 +1,83 @@
+export default class Daily {
+    // Year, month (starting at 0) and day of Cuble #1
+    static LAUNCH = [2022, 2, 1];
+    static DAY = 24 * 60 * 60 * 1000;
+    static MINUTE = 60 * 1000;
+    // Offsets from UTC of all time zones in use, in minutes
+    static OFFSETS = [
+        -720, -660, -600, -570, -540, -480, -420, -360, -300, -240, -210, -180, -120, -60, 0, 60, 120, 180, 210, 240,
+        270, 300, 330, 345, 360, 390, 420, 480, 525, 540, 570, 600, 630, 660, 720, 765, 780, 825, 840,
+    ];
+
+    /**
+     * Set up a scheduler for the daily puzzle, which changes at the same moment for everyone.
+     * @param {number} offset minutes to add to UTC to get the time zone in which the puzzle changes at midnight
+     */
+    constructor(offset = 0) {
+        this.offset = offset;
+        this.timer = null;
+    }
+
+    /**
+     * Get the number of the daily puzzle at the given time, counting from Cuble #1.
+     * @param {Date} now time to get the puzzle for
+     * @returns {number} puzzle number
+     */
+    getNumber(now = new Date()) {
+        return this.getDay(now) - Date.UTC(...Daily.LAUNCH) / Daily.DAY + 1;
+    }
+
+    getNextRollover(now = new Date()) {
+        return new Date((this.getDay(now) + 1) * Daily.DAY - this.offset * Daily.MINUTE);
+    }
+
+    getDay(now) {
+        return Math.floor((now.getTime() + this.offset * Daily.MINUTE) / Daily.DAY);
+    }
+
+    /**
+     * Call back with the new puzzle number every time the daily puzzle changes.
+     * @param {function} callback called with the new puzzle number
+     */
+    start(callback) {
+        clearTimeout(this.timer);
+        const number = this.getNumber();
+        // Timers can fire early or late (for example after the device slept), so check the number again
+        this.timer = setTimeout(() => {
+            if (this.getNumber() !== number) {
+                callback(this.getNumber());
+            }
+            this.start(callback);
+        }, Math.max(this.getNextRollover() - Date.now(), 1000));
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+    }
+
+    static getDate(number) {
+        const [year, month, day] = Daily.LAUNCH;
+        return new Date(year, month, day + number - 1);
+    }
+
+    /**
+     * Get the number of the daily puzzle of a date, the reverse of getDate. Dates before Cuble #1 give numbers below 1.
+     * @param {number} year full year
+     * @param {number} month month, starting at 0
+     * @param {number} day day of the month
+     * @returns {number} puzzle number
+     */
+    static getNumberOnDate(year, month, day) {
+        return (Date.UTC(year, month, day) - Date.UTC(...Daily.LAUNCH)) / Daily.DAY + 1;
+    }
+
+    /**
+     * Get the seed the daily puzzle with the given number is generated from.
+     * @param {number} number puzzle number
+     * @returns {string} seed for seedrandom
+     */
+    static getSeed(number) {
+        // Built from the local date of the puzzle to keep the seeds from before the puzzle changed at UTC midnight
+        return Daily.getDate(number).toDateString();
+    }
+}
@@ -0,0 +1,234 @@
+import Game from './game.js';
+
+export default class Deduction {
+    /**
+     * Work out which pieces and orientations can still be in every slot, given only the feedback of past guesses.
+     * @param {Game} game game whose history is used
+     * @param {object} locks indices of pieces whose permutation or orientation is known to be solved, see
+     * Game.getLocks
+     */
+    constructor(game, locks = { pieces: [], orientations: [] }) {
+        this.game = game;
+        this.locks = locks;
+        // For every slot, the possible pieces and orientations, encoded as piece * 3 + orientation
+        this.candidates = Game.PIECES.map(slot => new Set(Game.PIECES
+            .filter(piece => Deduction.getType(piece) === Deduction.getType(slot))
+            .flatMap(piece => [0, 1, 2].slice(0, Deduction.getSize(slot)).map(o => piece * 3 + o))));
+        this.constraints = [];
+        this.solve();
+    }
+
+    static getType(index) {
+        return index < 12 ? 1 : 0;
+    }
+
+    static getSize(index) {
+        return index < 12 ? 2 : 3;
+    }
+
+    /**
+     * Get the color a candidate shows on every facelet of its slot.
+     * @param {number} slot index into CUBIE_ORDER
+     * @param {number} candidate piece * 3 + orientation
+     * @returns {object} color by facelet index, in the order of Game.stateToFaceletColors
+     */
+    static getColors(slot, candidate) {
+        Deduction.colorCache = Deduction.colorCache || {};
+        const key = slot * 60 + candidate;
+        if (!Deduction.colorCache[key]) {
+            const state = [...Game.SOLVED_STATE];
+            state[slot] = Math.floor(candidate / 3);
+            state[slot + 20] = candidate % 3;
+            const colors = Game.stateToFaceletColors(state);
+            Deduction.colorCache[key] = {};
+            for (const facelet of Deduction.getFacelets(slot)) {
+                Deduction.colorCache[key][facelet] = colors[facelet];
+            }
+        }
+        return Deduction.colorCache[key];
+    }
+
+    // Facelet indices that belong to a slot
+    static getFacelets(slot) {
+        const facelets = [];
+        [...'ULFRBD'].forEach((face, i) => Game.FACELETS[face].forEach((name, j) => {
+            if (Game.getStateIndex(name) === slot) {
+                facelets.push(i * 9 + j);
+            }
+        }));
+        return facelets;
+    }
+
+    static getSlot(facelet) {
+        return Game.getStateIndex(Game.FACELETS['ULFRBD'[Math.floor(facelet / 9)]][facelet % 9]);
+    }
+
+    solve() {
+        for (const slot of this.locks.pieces) {
+            this.keep(slot, candidate => Math.floor(candidate / 3) === slot);
+        }
+        for (const slot of this.locks.orientations) {
+            this.keep(slot, candidate => candidate % 3 === 0);
+        }
+        for (const state of this.game.history) {
+            if (state) {
+                this.addGuess(Game.stateToFaceletColors(state), this.game.getGuessFeedback(state).feedback);
+            }
+        }
+        // Repeat until nothing more can be ruled out. Parity is only checked once the other rules are settled, so
+        // the pieces that are left are exactly the ones no other slot can hold.
+        while (this.applyConstraints() || this.applyUniqueness() || this.applyParity());
+    }
+
+    /**
+     * Rule out everything the feedback of a guess contradicts, and remember how many stickers of each color can
+     * still be on each face for later.
+     * @param {Array<string>} colors 54 facelet colors of the guess
+     * @param {Array<string>} feedback 54 feedback characters, see Game.getFeedback
+     */
+    addGuess(colors, feedback) {
+        for (let facelet = 0; facelet < 54; facelet++) {
+            if (facelet % 9 === 4) continue;
+            const slot = Deduction.getSlot(facelet);
+            const correct = feedback[facelet] === '.';
+            this.keep(slot, candidate => (Deduction.getColors(slot, candidate)[facelet] === colors[facelet]) === correct);
+        }
+        // Slashes are handed out until the wrong stickers of a color on the face run out, then crosses follow
+        for (let face = 0; face < 6; face++) {
+            for (const type of [0, 1]) {
+                const facelets = [];
+                for (let j = type; j < 9; j += 2) {
+                    if (j !== 4 && feedback[face * 9 + j] !== '.') {
+                        facelets.push(face * 9 + j);
+                    }
+                }
+                for (const color of 'ULFRBD') {
+                    const guessed = facelets.filter(facelet => colors[facelet] === color);
+                    const slashed = guessed.filter(facelet => feedback[facelet] === '/').length;
+                    const crossed = guessed.length > slashed;
+                    this.constraints.push({ facelets, color, min: slashed, max: crossed ? slashed : Infinity });
+                }
+            }
+        }
+    }
+
+    // Keep only the candidates of a slot that pass the test. Returns whether anything was ruled out.
+    keep(slot, test) {
+        const before = this.candidates[slot].size;
+        const kept = [...this.candidates[slot]].filter(test);
+        // Never rule out everything, which could only happen if the history contradicts itself
+        if (kept.length === 0) return false;
+        this.candidates[slot] = new Set(kept);
+        return kept.length < before;
+    }
+
+    applyConstraints() {
+        let changed = false;
+        for (const { facelets, color, min, max } of this.constraints) {
+            const showing = candidate => facelet => Deduction.getColors(Deduction.getSlot(facelet), candidate)[facelet];
+            const must = facelets.filter(facelet => [...this.candidates[Deduction.getSlot(facelet)]]
+                .every(candidate => showing(candidate)(facelet) === color));
+            const may = facelets.filter(facelet => [...this.candidates[Deduction.getSlot(facelet)]]
+                .some(candidate => showing(candidate)(facelet) === color));
+            if (must.length === max) {
+                for (const facelet of may.filter(facelet => !must.includes(facelet))) {
+                    changed = this.keep(Deduction.getSlot(facelet), candidate =>
+                        showing(candidate)(facelet) !== color) || changed;
+                }
+            }
+            if (may.length === min) {
+                for (const facelet of may) {
+                    changed = this.keep(Deduction.getSlot(facelet), candidate =>
+                        showing(candidate)(facelet) === color) || changed;
+                }
+            }
+        }
+        return changed;
+    }
+
+    // Every piece is used exactly once
+    applyUniqueness() {
+        let changed = false;
+        for (const slot of Game.PIECES) {
+            const pieces = this.getPieces(slot);
+            if (pieces.length !== 1) continue;
+            for (const other of Game.PIECES) {
+                if (other !== slot) {
+                    changed = this.keep(other, candidate => Math.floor(candidate / 3) !== pieces[0]) || changed;
+                }
+            }
+        }
+        for (const piece of Game.PIECES) {
+            const slots = Game.PIECES.filter(slot => this.getPieces(slot).includes(piece));
+            if (slots.length === 1) {
+                changed = this.keep(slots[0], candidate => Math.floor(candidate / 3) === piece) || changed;
+            }
+        }
+        return changed;
+    }
+
+    // The twists of the corners and the flips of the edges cancel out, and both kinds of pieces are swapped an
+    // equal number of times
+    applyParity() {
+        let changed = false;
+        for (const group of [Game.EDGES, Game.CORNERS]) {
+            const size = Deduction.getSize(group[0]);
+            const open = group.filter(slot => this.getOrientations(slot).length > 1);
+            if (open.length !== 1) continue;
+            const total = group.filter(slot => slot !== open[0])
+                .reduce((sum, slot) => sum + this.getOrientations(slot)[0], 0);
+            changed = this.keep(open[0], candidate => (total + candidate % 3) % size === 0) || changed;
+        }
+        const open = Game.PIECES.filter(slot => this.getPieces(slot).length > 1);
+        if (open.length === 2 && Deduction.getType(open[0]) === Deduction.getType(open[1])) {
+            const permutation = Game.PIECES.map(slot => this.getPieces(slot)[0]);
+            const [a, b] = this.getPieces(open[0]);
+            permutation[open[0]] = a;
+            permutation[open[1]] = b;
+            const piece = Deduction.getParity(permutation) ? b : a;
+            changed = this.keep(open[0], candidate => Math.floor(candidate / 3) === piece) || changed;
+        }
+        return changed;
+    }
+
+    // Whether edges and corners are permuted with different parity, given a full permutation
+    static getParity(permutation) {
+        let swaps = 0;
+        const seen = new Set();
+        for (let i = 0; i < permutation.length; i++) {
+            // A cycle of n pieces takes n - 1 swaps
+            for (let j = permutation[i]; !seen.has(j); j = permutation[j]) {
+                seen.add(j);
+                if (j !== i) swaps++;
+            }
+        }
+        return swaps % 2 === 1;
+    }
+
+    getPieces(slot) {
+        return [...new Set([...this.candidates[slot]].map(candidate => Math.floor(candidate / 3)))];
+    }
+
+    getOrientations(slot) {
+        return [...new Set([...this.candidates[slot]].map(candidate => candidate % 3))];
+    }
+
+    /**
+     * @returns {Array<number>} for every slot, the number of pieces and orientations it could still hold
+     */
+    getCounts() {
+        return this.candidates.map(candidates => candidates.size);
+    }
+
+    /**
+     * @returns {Array<object>} for every slot whose piece is known, the slot, the piece and its orientation or
+     * null if the orientation is still open
+     */
+    getForced() {
+        return Game.PIECES.filter(slot => this.getPieces(slot).length === 1).map(slot => ({
+            slot,
+            piece: this.getPieces(slot)[0],
+            orientation: this.getOrientations(slot).length === 1 ? this.getOrientations(slot)[0] : null,
+        }));
+    }
+}
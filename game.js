@@ -0,0 +1,382 @@
+import RubiksCubeSolver from './lib/solver.js';
+
+/**
+ * Rules of Cuble without any DOM or storage access, so they can be reused outside of the browser.
+ *
+ * A state is an Array<number> with 40 entries: the permutation of the 20 pieces in CUBIE_ORDER followed by their
+ * orientations (see lib/solver.js). Facelet colors are 54 characters from 'ULFRBD' in ULFRBD face order, each face
+ * read left-to-right, top-to-bottom.
+ */
+export default class Game {
+    // Order used for permutation/orientation arrays (only edges + corners)
+    static CUBIE_ORDER = [
+        'UF', 'UR', 'UB', 'UL', 'DF', 'DR', 'DB', 'DL', 'FR', 'FL', 'BR', 'BL',
+        'UFR', 'URB', 'UBL', 'ULF', 'DRF', 'DFL', 'DLB', 'DBR'
+    ];
+
+    static SOLVED_STATE = [
+        0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19,
+        0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0
+    ];
+
+    // Pieces on each facelet of each face, in the same order as the facelet colors
+    static FACELETS = {
+        U: ['UBL', 'UB', 'URB', 'UL', 'U', 'UR', 'ULF', 'UF', 'UFR'],
+        L: ['UBL', 'UL', 'ULF', 'BL', 'L', 'FL', 'DLB', 'DL', 'DFL'],
+        F: ['ULF', 'UF', 'UFR', 'FL', 'F', 'FR', 'DFL', 'DF', 'DRF'],
+        R: ['UFR', 'UR', 'URB', 'FR', 'R', 'BR', 'DRF', 'DR', 'DBR'],
+        B: ['URB', 'UB', 'UBL', 'BR', 'B', 'BL', 'DBR', 'DB', 'DLB'],
+        D: ['DFL', 'DF', 'DRF', 'DL', 'D', 'DR', 'DLB', 'DB', 'DBR'],
+    };
+
+    // Default guess limit, not counting the free guess
+    static MAX_GUESSES = 6;
+
+    static EDGES = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+    static CORNERS = [12, 13, 14, 15, 16, 17, 18, 19];
+    static PIECES = [...Game.EDGES, ...Game.CORNERS];
+    static LAST_LAYER = [0, 1, 2, 3, 12, 13, 14, 15];
+
+    // Trainer difficulties. Either the given number of random moves are applied to a solved cube, or the pieces in
+    // permute are shuffled among themselves and the pieces in orient are randomly oriented. Everything else is
+    // known to be solved.
+    static DIFFICULTIES = {
+        full: { permute: Game.PIECES, orient: Game.PIECES },
+        moves3: { moves: 3, permute: Game.PIECES, orient: Game.PIECES },
+        moves5: { moves: 5, permute: Game.PIECES, orient: Game.PIECES },
+        moves8: { moves: 8, permute: Game.PIECES, orient: Game.PIECES },
+        lastLayer: { permute: Game.LAST_LAYER, orient: Game.LAST_LAYER },
+        edges: { permute: Game.EDGES, orient: Game.EDGES },
+        corners: { permute: Game.CORNERS, orient: Game.CORNERS },
+        edgePermutation: { permute: Game.EDGES, orient: [] },
+        cornerPermutation: { permute: Game.CORNERS, orient: [] },
+        orientation: { permute: [], orient: Game.PIECES },
+    };
+
+    /**
+     * Start or resume a game.
+     * @param {Array<number>} answerState state the player has to guess
+     * @param {object} options progress and rules of the game, all optional:
+     * guesses: number of guesses made so far, -1 before the free guess
+     * score: for every piece, the guess it was first solved on or -1
+     * history: states guessed so far, indexed by guess
+     * maxGuesses: guess limit, not counting the free guess
+     * hardMode: whether guesses have to respect the feedback of earlier guesses, see checkHardMode
+     */
+    constructor(answerState, {
+        guesses = -1,
+        score = Array(20).fill(-1),
+        history = [],
+        maxGuesses = Game.MAX_GUESSES,
+        hardMode = false,
+    } = {}) {
+        this.answerState = answerState;
+        this.answerColors = Game.stateToFaceletColors(answerState);
+        this.guesses = guesses;
+        this.score = score;
+        this.history = history;
+        this.maxGuesses = maxGuesses;
+        this.hardMode = hardMode;
+        // Set when the clock of a blitz game runs out, which ends the game like running out of guesses
+        this.timedOut = false;
+    }
+
+    isOver() {
+        return this.guesses >= this.maxGuesses || this.timedOut;
+    }
+
+    /**
+     * Count a guess and compare it to the answer. The guess must be solvable, see Game.isSolvable.
+     * @param {Array<number>} state guessed state
+     * @returns {object} facelet colors of the guess, the feedback for each facelet, the number of solved pieces and
+     * stickers and whether the guess is the answer
+     */
+    submit(state) {
+        this.guesses++;
+        this.history[this.guesses] = [...state];
+        const { colors, feedback } = this.getGuessFeedback(state);
+        return {
+            colors,
+            feedback,
+            solvedPieces: this.updateScore(state),
+            solvedStickers: this.countSolvedStickers(state),
+            won: colors.toString() === this.answerColors.toString(),
+        };
+    }
+
+    /**
+     * Compare a state to the answer without counting it as a guess.
+     * @param {Array<number>} state guessed state
+     * @returns {object} facelet colors of the guess and the feedback for each facelet
+     */
+    getGuessFeedback(state) {
+        const colors = Game.stateToFaceletColors(state);
+        return { colors, feedback: Game.getFeedback(colors, this.answerColors) };
+    }
+
+    /**
+     * In hard mode, every correct sticker of an earlier guess has to stay and every slashed color has to be used
+     * again on a sticker of the same type (corner or edge) on the same face that was not correct in that guess.
+     * @param {Array<number>} state state about to be guessed
+     * @returns {object|null} the first broken rule, or null if the guess is allowed. The rule is one of 'keep',
+     * 'useCorner' and 'useEdge', with the face letter of the color and the face it is about.
+     */
+    checkHardMode(state) {
+        if (!this.hardMode) return null;
+        const colors = Game.stateToFaceletColors(state);
+        for (const previous of this.history) {
+            if (!previous) continue;
+            const { colors: previousColors, feedback } = this.getGuessFeedback(previous);
+            for (let face = 0; face < 6; face++) {
+                const faceName = 'ULFRBD'.charAt(face);
+                for (const type of [0, 1]) {
+                    // Corners are the even facelets of a face, edges the odd ones
+                    const facelets = [0, 1, 2, 3, 5, 6, 7, 8].filter(j => j % 2 === type).map(j => face * 9 + j);
+                    const required = {};
+                    const available = {};
+                    for (const i of facelets) {
+                        if (feedback[i] === '.') {
+                            if (colors[i] !== previousColors[i]) {
+                                return { rule: 'keep', color: previousColors[i], face: faceName };
+                            }
+                            continue;
+                        }
+                        if (feedback[i] === '/') {
+                            required[previousColors[i]] = (required[previousColors[i]] || 0) + 1;
+                        }
+                        available[colors[i]] = (available[colors[i]] || 0) + 1;
+                    }
+                    for (const [color, count] of Object.entries(required)) {
+                        if ((available[color] || 0) < count) {
+                            return { rule: type === 0 ? 'useCorner' : 'useEdge', color, face: faceName };
+                        }
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Record the current guess in the score of every piece that is solved in the given state.
+     * @param {Array<number>} state guessed state
+     * @returns {number} number of solved pieces
+     */
+    updateScore(state) {
+        let correct = 0;
+        for (let i = 0; i < this.score.length; i++) {
+            if (state[i] === this.answerState[i] && state[i + 20] === this.answerState[i + 20]) {
+                correct++;
+                if (this.score[i] === -1) {
+                    this.score[i] = this.guesses;
+                }
+            }
+        }
+        return correct;
+    }
+
+    countSolvedPieces(state) {
+        let correct = 0;
+        for (let i = 0; i < 20; i++) {
+            if (state[i] === this.answerState[i] && state[i + 20] === this.answerState[i + 20]) {
+                correct++;
+            }
+        }
+        return correct;
+    }
+
+    /**
+     * @returns {Array<object>} number of solved pieces and stickers for every guess made so far
+     */
+    getProgress() {
+        return this.history.filter(state => state).map(state => ({
+            pieces: this.countSolvedPieces(state),
+            stickers: this.countSolvedStickers(state),
+        }));
+    }
+
+    countSolvedStickers(state) {
+        const colors = Game.stateToFaceletColors(state);
+        let solvedStickers = 0;
+
+        // Count correctly colored stickers (excluding centers which are always correct)
+        for (let i = 0; i < 54; i++) {
+            // Skip center stickers (positions 4, 13, 22, 31, 40, 49 in ULFRBD order)
+            if (i % 9 === 4) continue;
+
+            if (colors[i] === this.answerColors[i]) {
+                solvedStickers++;
+            }
+        }
+
+        // Add the 6 center stickers which are always correct
+        return solvedStickers + 6;
+    }
+
+    static getStateIndex(cubie) {
+        return Game.CUBIE_ORDER.indexOf(cubie);
+    }
+
+    /**
+     * Check that every piece is used and the state can be reached by turning the faces.
+     * @param {Array<number>} state state to check
+     * @returns {boolean} whether the state is solvable
+     */
+    static isSolvable(state) {
+        // solver.js does not check all numbers are in valid [0, 20) range
+        if (state.slice(0, 20).includes(-1)) return false;
+        const solver = new RubiksCubeSolver();
+        solver.currentState = [...state];
+        return solver.verifyState();
+    }
+
+    /**
+     * Generate a random solvable state.
+     * @param {function} rng random number generator returning numbers in [0, 1), like the ones from seedrandom
+     * @param {object} difficulty one of DIFFICULTIES, defaults to a full scramble
+     * @returns {Array<number>} random state
+     */
+    static generateState(rng, difficulty = Game.DIFFICULTIES.full) {
+        if (difficulty.moves) {
+            return Game.scramble(rng, difficulty.moves);
+        }
+        const solver = new RubiksCubeSolver();
+        do {
+            // Generate random permutation
+            const permutation = [...Game.SOLVED_STATE.slice(0, 20)];
+            for (const pieces of [Game.EDGES, Game.CORNERS]) {
+                const slots = pieces.filter(i => difficulty.permute.includes(i));
+                Game.shuffle([...slots], rng).forEach((piece, i) => permutation[slots[i]] = piece);
+            }
+            // Generate orientations
+            const orientation = new Array(20).fill(0);
+            for (const i of Game.PIECES) {
+                if (difficulty.orient.includes(i)) {
+                    // Edges only have 2 orientations, corners can have 3
+                    orientation[i] = Math.floor(rng() * (i < 12 ? 2 : 3));
+                }
+            }
+            solver.currentState = [...permutation, ...orientation];
+        } while (!solver.verifyState());
+
+        return solver.currentState;
+    }
+
+    /**
+     * Get the pieces whose permutation or orientation is known to be solved for a difficulty.
+     * @param {object} difficulty one of DIFFICULTIES
+     * @returns {object} indices of pieces whose permutation and orientation cannot change
+     */
+    static getLocks(difficulty) {
+        return {
+            pieces: Game.PIECES.filter(i => !difficulty.permute.includes(i)),
+            orientations: Game.PIECES.filter(i => !difficulty.orient.includes(i)),
+        };
+    }
+
+    /**
+     * Apply random face turns to a solved cube, never turning the same face twice in a row.
+     * @param {function} rng random number generator returning numbers in [0, 1)
+     * @param {number} count number of moves
+     * @returns {Array<number>} scrambled state
+     */
+    static scramble(rng, count) {
+        const solver = new RubiksCubeSolver();
+        let state = [...Game.SOLVED_STATE];
+        let lastFace = -1;
+        for (let i = 0; i < count; i++) {
+            let face;
+            do {
+                face = Math.floor(rng() * 6);
+            } while (face === lastFace);
+            lastFace = face;
+            // Move indices are 3 per face: clockwise, half turn and counterclockwise
+            state = solver.applyMove(face * 3 + Math.floor(rng() * 3), state);
+        }
+        return state;
+    }
+
+    static shuffle(array, rng) {
+        for (let i = array.length - 1; i > 0; i--) {
+            let j = Math.floor(rng() * (i + 1));
+            let temp = array[i];
+            array[i] = array[j];
+            array[j] = temp;
+        }
+        return array;
+    }
+
+    /**
+     * Convert a permutation and orientation state into the 54 facelet colors required by Cube2D.
+     * @param {Array<number>} state state to convert
+     * @returns {Array<string>} facelet colors
+     */
+    static stateToFaceletColors(state) {
+        const permutation = state.slice(0, 20);
+        const orientation = state.slice(20);
+        const colors = [];
+        for (const face of 'ULFRBD') {
+            for (const facelet of Game.FACELETS[face]) {
+                if (facelet.length === 1) {
+                    colors.push(facelet);
+                } else {
+                    const index = Game.getStateIndex(facelet);
+                    let actualPermutation = Game.CUBIE_ORDER[permutation[index]];
+                    let actualOrientation = facelet.indexOf(face);
+                    if (facelet.length === 2) {
+                        actualOrientation += orientation[index];
+                    } else if (facelet.length === 3) {
+                        // HACK: swap orientations 1 and 2
+                        actualOrientation += 3 - orientation[index];
+                    }
+                    colors.push(actualPermutation.charAt(actualOrientation % actualPermutation.length));
+                }
+            }
+        }
+        return colors;
+    }
+
+    /**
+     * Compare each guessed facelet to the answer.
+     * '.' means the color is correct, '/' means the color belongs on another incorrectly colored facelet of the
+     * same type (corner or edge) on this face and 'X' means it does not.
+     * @param {Array<string>} guess 54 characters representing the color of each guessed facelet
+     * @param {Array<string>} answer 54 characters representing the color of each answer facelet
+     * @returns {Array<string>} 54 feedback characters
+     */
+    static getFeedback(guess, answer) {
+        const feedback = [];
+        for (let i = 0; i < 6; i++) {
+            // Count how many each color on the solution face were guessed incorrectly
+            // This is used to distinguish "gray" versus "yellow" feedback
+            const edgeColorsAvailable = { U: 0, L: 0, F: 0, R: 0, B: 0, D: 0 };
+            const cornerColorsAvailable = { U: 0, L: 0, F: 0, R: 0, B: 0, D: 0 };
+            for (let j = 0; j < 9; j++) {
+                const index = i * 9 + j;
+                if (guess[index] !== answer[index]) {
+                    if (j % 2 === 0) {
+                        cornerColorsAvailable[answer[index]]++;
+                    } else {
+                        edgeColorsAvailable[answer[index]]++;
+                    }
+                }
+            }
+            for (let j = 0; j < 9; j++) {
+                const index = i * 9 + j;
+                if (guess[index] === answer[index]) {
+                    feedback.push('.');
+                } else {
+                    // Check if this color exists on another facelet of the same type
+                    if (j % 2 === 0 && cornerColorsAvailable[guess[index]]-- > 0) {
+                        feedback.push('/');
+                    } else if (j % 2 !== 0 && edgeColorsAvailable[guess[index]]-- > 0) {
+                        feedback.push('/');
+                    } else {
+                        feedback.push('X');
+                    }
+                }
+            }
+        }
+        return feedback;
+    }
+}
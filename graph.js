@@ -1,3 +1,5 @@
+import I18n from './i18n.js';
+
 export default class Graph {
     static THICKNESS = 35;
 
@@ -5,8 +7,25 @@ export default class Graph {
         this.canvas = canvas;
     }
 
-    update(stats) {
-        // Always show all score categories (1-6+)
+    /**
+     * Draw the distribution of guesses needed to win.
+     * @param {Array<number>} stats number of wins for every number of guesses, starting at 1
+     * @param {number} maxGuesses guess limit; wins that took more guesses under an earlier limit share one bar
+     */
+    update(stats, maxGuesses) {
+        const labels = [];
+        const rows = [];
+        for (let i = 0; i < maxGuesses; i++) {
+            labels.push(i + 1);
+            rows.push(stats[i] || 0);
+        }
+        const over = stats.slice(maxGuesses).reduce((sum, wins) => sum + wins, 0);
+        if (over > 0) {
+            labels.push(`${maxGuesses + 1}+`);
+            rows.push(over);
+        }
+        stats = rows;
+        // Always show all score categories
         let start = 0;
         // Find score with highest frequency
         let max = 0;
@@ -27,7 +46,7 @@ export default class Graph {
             ctx.font = 'larger Rubik';
             let y = 0;
             for (let i = start; i < stats.length; i++) {
-                ctx.fillText(i === stats.length - 1 ? '6+' : (i + 1), 0, y + 25);
+                ctx.fillText(labels[i], 0, y + 25);
                 let value = stats[i] / max * (this.canvas.offsetWidth - Graph.THICKNESS);
                 if (isNaN(value) || value < Graph.THICKNESS) {
                     value = Graph.THICKNESS;
@@ -41,4 +60,47 @@ export default class Graph {
             }
         });
     }
+
+    /**
+     * Draw a line chart of values that are indexed by guess, starting with the free guess.
+     * @param {Array<number>} values value after every guess
+     * @param {number} max value at the top of the chart
+     */
+    drawCurve(values, max) {
+        const width = this.canvas.offsetWidth;
+        const height = Graph.THICKNESS * 5;
+        this.canvas.width = width * window.devicePixelRatio;
+        this.canvas.height = height * window.devicePixelRatio;
+        const ctx = this.canvas.getContext('2d');
+        ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'white';
+        ctx.strokeStyle = 'white';
+        ctx.font = '14px Rubik, sans-serif';
+        if (values.length === 0) {
+            ctx.fillText(I18n.t('stats.noGames'), 0, height / 2);
+            return;
+        }
+        // Leave room for the value labels on the left and the guess labels at the bottom
+        const left = Graph.THICKNESS * 1.2;
+        const bottom = height - 20;
+        const step = values.length > 1 ? (width - left - 10) / (values.length - 1) : 0;
+        const x = i => left + i * step;
+        const y = value => bottom - value / max * (bottom - 10);
+        ctx.fillText(max, 0, y(max) + 5);
+        ctx.fillText(0, 0, y(0) + 5);
+        ctx.beginPath();
+        ctx.moveTo(left, y(0));
+        ctx.lineTo(width, y(0));
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        ctx.beginPath();
+        values.forEach((value, i) => i === 0 ? ctx.moveTo(x(i), y(value)) : ctx.lineTo(x(i), y(value)));
+        ctx.lineWidth = 3;
+        ctx.stroke();
+        values.forEach((value, i) => {
+            ctx.fillRect(x(i) - 3, y(value) - 3, 6, 6);
+            ctx.fillText(i, x(i) - 4, height);
+        });
+    }
 }
@@ -0,0 +1,72 @@
+import I18n from './i18n.js';
+
+export default class GuessHistory {
+    /**
+     * Set up the strip of past guesses that can be clicked to look at their feedback again.
+     * @param {Cube3D} cube 3D cube to show past guesses on
+     * @param {Cube2D} feedback 2D projection to draw the feedback of past guesses on
+     * @param {Game} game game the guesses belong to
+     */
+    constructor(cube, feedback, game) {
+        this.cube = cube;
+        this.feedback = feedback;
+        this.game = game;
+        // Submitted states, indexed by guess
+        this.states = [];
+        // Guess being looked at, or null while editing
+        this.viewing = null;
+        // Called with true before a past guess is shown and with false once the player is back to editing
+        this.onchange = () => {};
+        this.strip = document.getElementById('history');
+    }
+
+    update(states) {
+        this.states = states;
+        this.render();
+    }
+
+    render() {
+        this.strip.replaceChildren();
+        this.states.forEach((state, i) => {
+            if (!state) return;
+            const button = this.strip.appendChild(document.createElement('button'));
+            button.innerText = i;
+            button.title = i === 0 ? I18n.t('history.free') : I18n.t('history.guess', { number: i });
+            button.classList.toggle('active', i === this.viewing);
+            button.setAttribute('aria-pressed', i === this.viewing);
+            button.onclick = () => this.viewing === i ? this.close() : this.view(i);
+        });
+        if (this.viewing !== null) {
+            const back = this.strip.appendChild(document.createElement('button'));
+            back.innerText = '↩';
+            back.title = I18n.t('history.back');
+            back.onclick = () => this.close();
+        }
+    }
+
+    view(index) {
+        if (this.viewing === null) {
+            this.onchange(true);
+            // Remember the guess being edited so it can be restored afterwards
+            this.working = [...this.cube.permutation, ...this.cube.orientation];
+            this.wasReadOnly = this.cube.readOnly;
+            this.cube.readOnly = true;
+            this.cube.selection.visible = false;
+        }
+        this.viewing = index;
+        this.cube.setState(this.states[index]);
+        this.feedback.drawCube(this.game.getGuessFeedback(this.states[index]).colors, this.game.answerColors);
+        this.render();
+    }
+
+    close() {
+        if (this.viewing === null) return;
+        this.viewing = null;
+        this.cube.setState(this.working);
+        this.cube.readOnly = this.wasReadOnly;
+        const latest = this.states[this.states.length - 1];
+        this.feedback.drawCube(this.game.getGuessFeedback(latest).colors, this.game.answerColors);
+        this.render();
+        this.onchange(false);
+    }
+}
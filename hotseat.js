@@ -0,0 +1,87 @@
+/**
+ * Matches where several players take turns guessing the same cube on one device. Every player has a game of their
+ * own, kept in the namespace from getPlayerStorage, and the match keeps whose turn it is and how everyone is doing.
+ */
+export default class HotSeat {
+    static MIN_PLAYERS = 2;
+    static MAX_PLAYERS = 4;
+
+    /**
+     * @param {Storage} storage storage of the match, see Storage.GAME_PREFIX
+     */
+    constructor(storage) {
+        this.storage = storage;
+        this.match = storage.getJSON('match');
+    }
+
+    /**
+     * Start a new match, forgetting the games of the previous one.
+     * @param {Array<string>} players names of the players, in the order they take turns
+     * @param {object} challenge difficulty and seed of the cube everyone guesses, see Challenge
+     * @param {object} rules maxGuesses and hardMode of every game in the match, so nobody plays by other rules
+     */
+    start(players, challenge, rules) {
+        this.storage.clear();
+        this.match = {
+            players,
+            challenge,
+            rules,
+            turn: 0,
+            results: players.map(() => ({ guesses: 0, stickers: 0, won: false, over: false })),
+        };
+        this.storage.setJSON('match', this.match);
+    }
+
+    /**
+     * @param {number} player index of the player
+     * @returns {Storage} storage of the game of the player
+     */
+    getPlayerStorage(player) {
+        return this.storage.namespace(`${player}_`);
+    }
+
+    getPlayer() {
+        return this.match.players[this.match.turn];
+    }
+
+    /**
+     * Record a guess of the player whose turn it is and hand the cube to the next player still playing. Guesses are
+     * checked again when the page loads, so a guess recorded before has no effect.
+     * @param {object} result guesses made, stickers solved by the latest guess, won and over (no guesses left)
+     * @returns {boolean} whether the guess was recorded
+     */
+    play(result) {
+        const { turn, results } = this.match;
+        if (result.guesses <= results[turn].guesses) return false;
+        results[turn] = result;
+        const count = results.length;
+        for (let i = 1; i <= count; i++) {
+            const next = (turn + i) % count;
+            if (!results[next].won && !results[next].over) {
+                this.match.turn = next;
+                break;
+            }
+        }
+        this.storage.setJSON('match', this.match);
+        return true;
+    }
+
+    isOver() {
+        return this.match.results.every(({ won, over }) => won || over);
+    }
+
+    /**
+     * Rank the players. Winners beat everyone else and fewer guesses beat more, the others are ranked by the stickers
+     * solved by their latest guess.
+     * @returns {Array<object>} name, rank (shared by players that tie), guesses, stickers, won and over of every
+     * player, best first
+     */
+    getScoreboard() {
+        const compare = (a, b) => (b.won - a.won) || (a.won ? a.guesses - b.guesses : b.stickers - a.stickers);
+        const players = this.match.players.map((name, i) => ({ name, ...this.match.results[i] })).sort(compare);
+        return players.map(player => ({
+            ...player,
+            rank: players.findIndex(other => compare(other, player) === 0) + 1,
+        }));
+    }
+}
@@ -0,0 +1,78 @@
+import de from './locales/de.js';
+import en from './locales/en.js';
+import es from './locales/es.js';
+
+export default class I18n {
+    // Every language with a catalog, by its own name
+    static LOCALES = { en: 'English', de: 'Deutsch', es: 'Español' };
+    static CATALOGS = { en, de, es };
+
+    static locale = 'en';
+
+    /**
+     * Pick the language to show: the one the player chose, or else the first language of the browser that has a
+     * catalog, or else English.
+     * @param {string|null} saved language the player chose
+     * @param {Array<string>} languages languages of the browser, most preferred first
+     * @returns {string} one of LOCALES
+     */
+    static detect(saved, languages = []) {
+        if (I18n.LOCALES[saved]) return saved;
+        for (const language of languages) {
+            // Regional variants like de-AT use the catalog of their language
+            const locale = language.toLowerCase().split('-')[0];
+            if (I18n.LOCALES[locale]) return locale;
+        }
+        return 'en';
+    }
+
+    /**
+     * @param {string} locale one of LOCALES, unknown languages are ignored
+     */
+    static setLocale(locale) {
+        if (I18n.LOCALES[locale]) {
+            I18n.locale = locale;
+        }
+    }
+
+    /**
+     * Get a message in the current language, falling back to English. Messages with a count have a form for
+     * every plural category of Intl.PluralRules.
+     * @param {string} key message to get
+     * @param {object} params values for the {placeholders} of the message, count also picks the plural form
+     * @returns {string} message
+     */
+    static t(key, params = {}) {
+        let message = I18n.CATALOGS[I18n.locale][key] ?? I18n.CATALOGS.en[key];
+        // Show the key rather than nothing, so a missing message is easy to spot
+        if (message === undefined) return key;
+        if (typeof message === 'object') {
+            const category = new Intl.PluralRules(I18n.locale).select(params.count);
+            message = message[category] ?? message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => name in params ? params[name] : placeholder);
+    }
+
+    /**
+     * Translate the static text of the page. English text is written in index.html, so only other languages
+     * need catalog entries for it. Elements are marked with data-i18n (content, may contain markup),
+     * data-i18n-label (aria-label), data-i18n-title and data-i18n-placeholder.
+     * @param {HTMLElement} root element whose descendants to translate
+     */
+    static translatePage(root = document) {
+        document.documentElement.lang = I18n.locale;
+        const catalog = I18n.CATALOGS[I18n.locale];
+        const translate = (attribute, apply) => {
+            for (const element of root.querySelectorAll(`[${attribute}]`)) {
+                const message = catalog[element.getAttribute(attribute)];
+                if (typeof message === 'string') {
+                    apply(element, message);
+                }
+            }
+        };
+        translate('data-i18n', (element, message) => element.innerHTML = message);
+        translate('data-i18n-label', (element, message) => element.setAttribute('aria-label', message));
+        translate('data-i18n-title', (element, message) => element.title = message);
+        translate('data-i18n-placeholder', (element, message) => element.placeholder = message);
+    }
+}
@@ -0,0 +1,93 @@
+import I18n from './i18n.js';
+
+export default class KeyMap {
+    // Every action that can be bound to a key, with its default key. The catalogs describe each action as
+    // keys.<action>.
+    static ACTIONS = {
+        up: { key: 'w' },
+        left: { key: 'a' },
+        down: { key: 's' },
+        right: { key: 'd' },
+        nextPiece: { key: 'e' },
+        previousPiece: { key: 'q' },
+        typePiece: { key: 'p' },
+        erase: { key: 'x' },
+        rotate: { key: 'r' },
+        submit: { key: 'Enter' },
+        viewLeft: { key: 'ArrowLeft' },
+        viewRight: { key: 'ArrowRight' },
+        viewFlip: { key: 'ArrowUp' },
+        help: { key: '?' },
+    };
+    // Keys that are only held down for shortcuts with other keys, so they are never bound on their own
+    static MODIFIERS = ['Shift', 'Control', 'Alt', 'AltGraph', 'Meta', 'OS', 'Fn', 'CapsLock'];
+
+    /**
+     * Load the key of every action, with the bindings the player changed taking precedence over the defaults.
+     * @param {Storage} storage where changed bindings are kept
+     */
+    constructor(storage) {
+        this.storage = storage;
+        this.keys = { ...KeyMap.getDefaults(), ...storage.getJSON('keyMap') };
+    }
+
+    static getDefaults() {
+        return Object.fromEntries(Object.entries(KeyMap.ACTIONS).map(([action, { key }]) => [action, key]));
+    }
+
+    /**
+     * Get the key of an event in the format used for bindings. Letters are case-insensitive.
+     * @param {KeyboardEvent} event keyboard event
+     * @returns {string} key
+     */
+    static getKey(event) {
+        return event.key.length === 1 ? event.key.toLowerCase() : event.key;
+    }
+
+    /**
+     * @param {KeyboardEvent} event keyboard event
+     * @returns {string|undefined} action bound to the key that was pressed
+     */
+    getAction(event) {
+        const key = KeyMap.getKey(event);
+        return Object.keys(this.keys).find(action => this.keys[action] === key);
+    }
+
+    /**
+     * Bind a key to an action. An action that had the key before gets the previous key of this action, so no key
+     * is ever bound twice.
+     * @param {string} action one of ACTIONS
+     * @param {string} key key in the format of getKey
+     * @returns {boolean} whether the key was bound, which it is not for MODIFIERS
+     */
+    bind(action, key) {
+        if (KeyMap.MODIFIERS.includes(key)) return false;
+        const other = this.getAction({ key });
+        if (other && other !== action) {
+            this.keys[other] = this.keys[action];
+        }
+        this.keys[action] = key;
+        this.save();
+        return true;
+    }
+
+    reset() {
+        this.keys = KeyMap.getDefaults();
+        this.save();
+    }
+
+    save() {
+        this.storage.setJSON('keyMap', this.keys);
+    }
+
+    /**
+     * @param {string} key key in the format of getKey
+     * @returns {string} readable name of the key
+     */
+    static describe(key) {
+        const NAMES = {
+            ' ': I18n.t('keys.space'), ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓',
+        };
+        return NAMES[key] || (key.length === 1 ? key.toUpperCase() : key);
+    }
+}
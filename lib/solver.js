@@ -442,7 +442,7 @@ RubiksCubeSolver.prototype.prepareSolution = function(){
 	var result = '';
 	for(var i=0; i<moves.length-2; i++){
 		if(moves[i][0] == moves[i+2][0] && opposites[moves[i+1][0]] == moves[i][0]){
-			temp = moves[i+2];
+			var temp = moves[i+2];
 			moves[i+2] = moves[i+1];
 			moves[i+1] = temp;
 			i = 0;
@@ -0,0 +1,417 @@
+export default {
+    'mode.daily': 'TÄGLICH: CUBLE #{number}',
+    'mode.archive': 'ARCHIV: CUBLE #{number}',
+    'mode.challenge': 'HERAUSFORDERUNG: {name}',
+    'mode.hotseat': 'HOT SEAT: {name}',
+    'mode.trainer': 'TRAINER',
+    'mode.toDaily': 'Tägliches Cuble',
+    'mode.toTrainer': 'Trainer',
+    'mode.name.daily': 'Täglich',
+    'mode.name.archive': 'Archiv',
+    'mode.name.trainer': 'Trainer',
+    'mode.name.challenge': 'Herausforderung',
+
+    'daily.available': 'Ein neues tägliches Cuble ist da. Spiele es über den Knopf oben, sobald du hier fertig bist.',
+
+    'difficulty.full': 'Ganz verdreht',
+    'difficulty.moves3': '3 zufällige Züge',
+    'difficulty.moves5': '5 zufällige Züge',
+    'difficulty.moves8': '8 zufällige Züge',
+    'difficulty.lastLayer': 'Nur letzte Ebene',
+    'difficulty.edges': 'Nur Kanten',
+    'difficulty.corners': 'Nur Ecken',
+    'difficulty.edgePermutation': 'Nur Kanten vertauscht',
+    'difficulty.cornerPermutation': 'Nur Ecken vertauscht',
+    'difficulty.orientation': 'Nur Ausrichtung',
+
+    'game.lost': {
+        one: 'Spiel vorbei! Du hast deinen {count} Versuch verbraucht.',
+        other: 'Spiel vorbei! Du hast alle {count} Versuche verbraucht.',
+    },
+    'game.won': { one: 'Gewonnen mit {count} Versuch!', other: 'Gewonnen mit {count} Versuchen!' },
+    'game.timeUp': 'Spiel vorbei! Deine Zeit ist abgelaufen.',
+    'game.pieces': 'Steine: {solved}/20',
+    'game.stickers': 'Sticker: {solved}/54',
+    'game.share': '📋 Teilen',
+    'game.copied': 'Ergebnis in die Zwischenablage kopiert!',
+    'game.copyFailed': 'Kopieren in die Zwischenablage fehlgeschlagen!',
+    'game.solution': '🧩 Lösung',
+    'share.title': 'Cuble {title} ({mode}): {result}/{maxGuesses}',
+
+    'hardMode.keep': 'Schwerer Modus: Der richtige Sticker ({color}) auf der Seite {face} muss bleiben.',
+    'hardMode.useCorner': 'Schwerer Modus: Die schräg markierte Farbe {color} muss wieder auf einen Ecksticker ' +
+        'der Seite {face}.',
+    'hardMode.useEdge': 'Schwerer Modus: Die schräg markierte Farbe {color} muss wieder auf einen Kantensticker ' +
+        'der Seite {face}.',
+
+    'notation.moves': { one: '{count} Zug', other: '{count} Züge' },
+    'notation.unknown': 'Unbekannter Zug {move}.',
+
+    'parity.missingEdges': { one: '{count} Kante fehlt.', other: '{count} Kanten fehlen.' },
+    'parity.missingCorners': { one: '{count} Ecke fehlt.', other: '{count} Ecken fehlen.' },
+    'parity.put': '{piece} nach {slot}',
+    'parity.flipped': 'Eine Kante ist gekippt: Kippe eine beliebige Kante, um das zu beheben.',
+    'parity.flip': '{slot} kippen',
+    'parity.twistedClockwise': 'Eine Ecke ist verdreht: Drehe eine beliebige Ecke im Uhrzeigersinn, um das zu ' +
+        'beheben.',
+    'parity.twistedCounterClockwise': 'Eine Ecke ist verdreht: Drehe eine beliebige Ecke gegen den Uhrzeigersinn, ' +
+        'um das zu beheben.',
+    'parity.twistClockwise': '{slot} im Uhrzeigersinn drehen',
+    'parity.twistCounterClockwise': '{slot} gegen den Uhrzeigersinn drehen',
+    'parity.swapped': 'Zwei Steine sind vertauscht: Vertausche zwei beliebige Kanten oder zwei beliebige Ecken, um ' +
+        'das zu beheben.',
+    'parity.swap': '{a} und {b} tauschen',
+
+    'cube.label': 'Dein Versuch als 3D-Würfel. Wähle Steine mit der Tastatur aus, ? zeigt alle Tastenkürzel.',
+    'cube.nothingSelected': 'Nichts ausgewählt.',
+    'cube.sticker': '{color} {face}',
+    'cube.emptySticker': 'leer',
+    'cube.center': '{name}-Mitte: {stickers}. Mitten können nicht geändert werden.',
+    'cube.emptySpot': '{name}: leer.',
+    'cube.spot': '{name}: {stickers}.',
+    'cube.locked': 'Richtig und gesperrt.',
+    'cube.pieceLocked': 'Richtiger Stein, kann nur gedreht werden.',
+    'picker.piece': '{piece}: {colors}',
+    'picker.ruledOut': '{piece}: {colors}, laut Rückmeldung ausgeschlossen',
+    'typePiece.select': 'Wähle zuerst einen Stein aus, den du ändern kannst.',
+    'typePiece.used': '{piece} ist schon vergeben, lösche ihn zuerst.',
+    'typePiece.noEdge': 'Keine Kante hat die Farben {colors}.',
+    'typePiece.noCorner': 'Keine Ecke hat die Farben {colors}.',
+
+    'feedback.caption': 'Rückmeldung zum Versuch',
+    'feedback.face': 'Seite',
+    'feedback.sticker': '{color}, {feedback}',
+    'feedback.correct': 'richtig',
+    'feedback.slashed': 'schräg markiert',
+    'feedback.crossed': 'durchgekreuzt',
+    'position.0': 'oben links',
+    'position.1': 'oben',
+    'position.2': 'oben rechts',
+    'position.3': 'links',
+    'position.4': 'Mitte',
+    'position.5': 'rechts',
+    'position.6': 'unten links',
+    'position.7': 'unten',
+    'position.8': 'unten rechts',
+
+    'color.white': 'weiß',
+    'color.yellow': 'gelb',
+    'color.red': 'rot',
+    'color.orange': 'orange',
+    'color.green': 'grün',
+    'color.blue': 'blau',
+    'letter.white': 'W',
+    'letter.yellow': 'Ge',
+    'letter.red': 'R',
+    'letter.orange': 'O',
+    'letter.green': 'Gr',
+    'letter.blue': 'B',
+    'face.U': 'oben',
+    'face.L': 'links',
+    'face.F': 'vorne',
+    'face.R': 'rechts',
+    'face.B': 'hinten',
+    'face.D': 'unten',
+    'schemeFace.U': 'Oben (U)',
+    'schemeFace.L': 'Links (L)',
+    'schemeFace.F': 'Vorne (F)',
+    'schemeFace.R': 'Rechts (R)',
+    'schemeFace.B': 'Hinten (B)',
+    'schemeFace.D': 'Unten (D)',
+
+    'palette.classic': 'Klassisch',
+    'palette.okabeIto': 'Rot-Grün-sicher',
+    'palette.highContrast': 'Hoher Kontrast',
+    'scheme.western': 'Westlich',
+    'scheme.yellowTop': 'Westlich, Gelb oben',
+    'scheme.japanese': 'Japanisch',
+    'scheme.custom': 'Eigenes',
+    'overlay.none': 'Keine',
+    'overlay.letters': 'Farbbuchstaben',
+    'overlay.patterns': 'Formen',
+    'feedbackStyle.classic': 'Dünne Linien',
+    'feedbackStyle.bold': 'Hoher Kontrast',
+
+    'history.free': 'Gratisversuch',
+    'history.guess': 'Versuch {number}',
+    'history.back': 'Zurück zu deinem Versuch',
+
+    'assistant.status': '{forced}/20 Steine erzwungen, {oriented} davon mit Ausrichtung',
+
+    'keys.rebind': 'Klicken, dann die neue Taste drücken',
+    'keys.space': 'Leertaste',
+    'keys.up': 'Den Stein darüber auswählen',
+    'keys.left': 'Den Stein links davon auswählen',
+    'keys.down': 'Den Stein darunter auswählen',
+    'keys.right': 'Den Stein rechts davon auswählen',
+    'keys.nextPiece': 'Den nächsten freien Stein an die ausgewählte Stelle setzen',
+    'keys.previousPiece': 'Den vorigen freien Stein an die ausgewählte Stelle setzen',
+    'keys.typePiece': 'Den Namen des Steins für die ausgewählte Stelle eintippen',
+    'keys.erase': 'Den ausgewählten Stein löschen',
+    'keys.rotate': 'Den ausgewählten Stein kippen oder drehen',
+    'keys.submit': 'Versuch abgeben',
+    'keys.viewLeft': 'Die Ansicht eine Vierteldrehung nach links drehen',
+    'keys.viewRight': 'Die Ansicht eine Vierteldrehung nach rechts drehen',
+    'keys.viewFlip': 'Den Würfel von oben oder unten ansehen',
+    'keys.help': 'Die Tastenkürzel anzeigen',
+
+    'backup.unreadable': 'Die Datei konnte nicht gelesen werden.',
+    'backup.notBackup': 'Das ist keine Cuble-Sicherung.',
+    'backup.noData': 'Die Sicherung enthält keine Daten.',
+    'backup.newer': 'Diese Sicherung stammt von einer neueren Cuble-Version.',
+    'backup.invalidEntry': 'Die Sicherung enthält einen ungültigen Eintrag {key}.',
+    'backup.damagedStats': 'Die Statistik in der Sicherung ist beschädigt.',
+    'backup.damagedResults': 'Die täglichen Ergebnisse in der Sicherung sind beschädigt.',
+    'backup.damaged': 'Die Sicherung ist beschädigt.',
+
+    'clock.off': 'Aus',
+    'clock.stopwatch': 'Stoppuhr',
+    'clock.blitz': 'Blitz',
+    'clock.minutes': { one: '{count} Minute', other: '{count} Minuten' },
+
+    'challenge.custom': 'Eigener Würfel',
+    'challenge.invalid': 'Dieser Herausforderungslink ist kaputt.',
+    'challenge.otherPuzzle': 'Das ist kein Ergebnis für diesen Würfel.',
+    'challenge.badSeed': 'Seeds bestehen aus 1 bis 32 Buchstaben und Ziffern.',
+    'challenge.compare': '⚔️ Vergleichen',
+    'challenge.copied': 'Link in die Zwischenablage kopiert!',
+    'challenge.guess': 'Versuch',
+    'challenge.you': 'Du',
+    'challenge.friend': 'Freund',
+    'challenge.result': 'Ergebnis',
+    'challenge.youWin': 'Du gewinnst!',
+    'challenge.friendWins': 'Dein Freund gewinnt!',
+    'challenge.tie': 'Unentschieden!',
+    'challenge.time': 'Zeit',
+
+    'hotseat.player': 'Spieler {number}',
+    'hotseat.next': 'Weiter an {name} ➡️',
+    'hotseat.scoreboard': '🏆 Rangliste',
+    'hotseat.turn': '{name} ist dran',
+    'hotseat.guess': 'Versuch {number} von {maxGuesses}. Achte darauf, dass niemand sonst hinschaut!',
+    'hotseat.rank': '#',
+    'hotseat.name': 'Spieler',
+    'hotseat.guesses': 'Versuche',
+    'hotseat.stickers': 'Sticker',
+    'hotseat.status': 'Status',
+    'hotseat.solved': 'Gelöst',
+    'hotseat.out': 'Keine Versuche mehr',
+    'hotseat.playing': 'Spielt noch',
+    'hotseat.wins': '{name} gewinnt!',
+    'hotseat.tie': 'Unentschieden!',
+
+    'creator.count': 'Gib für jeden der 20 Plätze einen Stein an, getrennt durch Leerzeichen.',
+    'creator.painting': 'Manche Steine haben Farben, die es nicht gibt oder die doppelt vorkommen.',
+    'creator.edges': 'Nicht lösbar: Die Kanten sind falsch ausgerichtet.',
+    'creator.corners': 'Nicht lösbar: Die Ecken sind falsch ausgerichtet.',
+    'creator.parity': 'Nicht lösbar: Nur ein Paar Ecken oder Kanten ist vertauscht.',
+    'creator.slots': 'Kanten können nur auf Kantenplätze und Ecken nur auf Eckplätze.',
+    'creator.centers': 'Die Mitten müssen U, L, F, R, B und D sein, in dieser Reihenfolge.',
+    'creator.solved': 'Das ist der gelöste Würfel, den alle als Gratisversuch bekommen.',
+
+    'solution.solving': 'Wird gelöst...',
+    'solution.progress': 'Wird gelöst... {percent} %',
+    'solution.failed': 'Dieser Würfel konnte nicht gelöst werden.',
+    'solution.step': 'Verdrehung: Zug {step}/{total}',
+
+    'stats.noGames': 'Noch keine Spiele',
+    'stats.rank': '#',
+    'stats.time': 'Zeit',
+    'stats.guesses': 'Versuche',
+    'stats.date': 'Datum',
+    'stats.splits': 'Zeit pro Versuch',
+
+    'page.newGame': 'Neues Spiel',
+    'page.loadDaily': 'Das neue tägliche Cuble spielen',
+    'page.difficulty': 'Schwierigkeit im Trainer',
+    'page.openArchive': 'Archiv',
+    'page.ok': 'OK',
+    'page.archive.title': 'ARCHIV',
+    'page.archive.intro': 'Hole verpasste tägliche Cubles nach. Der Fortschritt wird für jedes einzeln gespeichert.',
+    'page.archive.previous': 'Vorheriger Monat',
+    'page.archive.next': 'Nächster Monat',
+    'page.openChallenge': 'Herausforderung',
+    'page.challenge.title': 'HERAUSFORDERUNG',
+    'page.challenge.intro': 'Tritt gegen deine Freunde auf demselben Würfel an. Schick ihnen einen Link zu deinem ' +
+        'Trainer-Würfel, oder spielt alle denselben Seed mit derselben Schwierigkeit im Trainer.',
+    'page.challenge.copy': 'Link zu diesem Würfel kopieren',
+    'page.challenge.seed': 'Seed',
+    'page.challenge.play': 'Spielen',
+    'page.challenge.compare': 'VERGLEICH',
+    'page.challenge.paste': 'Füge das Ergebnis ein, das dein Freund nach diesem Würfel geteilt hat.',
+    'page.challenge.rival': 'Ergebnis deines Freundes',
+    'page.creator.title': 'RÄTSEL ERSTELLEN',
+    'page.creator.intro': 'Stelle einen bestimmten Fall zum Spielen oder Verschicken ein. Gib den Stein auf jedem ' +
+        'Platz an (<code>UF UR UB UL DF DR DB DL FR FL BR BL UFR URB UBL ULF DRF DFL DLB DBR</code> ist gelöst), ' +
+        'die 54 Sticker Seite für Seite in der Reihenfolge ULFRBD oder eine Verdrehung in WCA-Notation.',
+    'page.creator.input': 'Rätsel',
+    'page.creator.play': 'Spielen',
+    'page.creator.copy': 'Link kopieren',
+    'page.openHotSeat': 'Hot Seat',
+    'page.hotseat.title': 'HOT SEAT',
+    'page.hotseat.scoreboard': 'RANGLISTE',
+    'page.hotseat.resume': 'Partie fortsetzen',
+    'page.hotseat.newMatch': 'NEUE PARTIE',
+    'page.hotseat.intro': 'Ratet abwechselnd denselben Würfel auf einem Gerät. Alle geben ihre eigenen Versuche ab ' +
+        'und bekommen ihre eigene Rückmeldung, ein Versuch pro Zug. Der Würfel wird mit der Schwierigkeit des ' +
+        'Trainers verdreht.',
+    'page.hotseat.players': 'Spieler',
+    'page.hotseat.start': 'Partie starten',
+    'page.hotseat.startTurn': 'Zug beginnen',
+    'page.stats.open': 'Statistik',
+    'page.stats.title': 'STATISTIK',
+    'page.stats.mode': 'Angezeigte Spiele',
+    'page.stats.all': 'Alle Spiele',
+    'page.stats.daily': 'Täglich',
+    'page.stats.archive': 'Archiv',
+    'page.stats.trainer': 'Trainer',
+    'page.stats.challenge': 'Herausforderung',
+    'page.stats.played': 'Gespielt',
+    'page.stats.winRate': 'Gewonnen %',
+    'page.stats.currentStreak': 'Aktuelle Serie',
+    'page.stats.maxStreak': 'Längste Serie',
+    'page.stats.distribution': 'VERTEILUNG DER VERSUCHE',
+    'page.stats.progress': 'DURCHSCHNITTLICH GELÖSTE STICKER PRO VERSUCH',
+    'page.stats.bestTimes': 'BESTZEITEN',
+    'page.stats.difficulty': 'Schwierigkeit',
+    'page.stats.noTimes': 'Gewinne ein Spiel mit eingeschalteter Uhr, um eine Zeit aufzustellen.',
+    'page.stats.next': 'NÄCHSTES CUBLE IN: ',
+    'page.stats.offset': 'Neues Cuble jeden Tag um Mitternacht in',
+    'page.settings.open': 'Einstellungen',
+    'page.settings.title': 'EINSTELLUNGEN',
+    'page.settings.language': 'Sprache',
+    'page.settings.maxGuesses': 'Maximale Versuche',
+    'page.settings.hardMode': 'Schwerer Modus: Richtige Sticker müssen bleiben und schräg markierte Farben müssen ' +
+        'wieder auf dieselbe Seite',
+    'page.settings.clock': 'Uhr',
+    'page.settings.timeLimit': 'Zeitlimit',
+    'page.settings.rules': 'Regeländerungen gelten nur für Spiele, in denen du noch keinen Versuch abgegeben hast.',
+    'page.settings.assistant': 'Denkhilfe: Jeder Stein zeigt, wie viele Steine und Ausrichtungen noch zur ' +
+        'Rückmeldung passen, und erzwungene Steine können eingesetzt werden',
+    'page.settings.keys': 'Tastenkürzel',
+    'page.settings.accessibility': 'BARRIEREFREIHEIT',
+    'page.settings.palette': 'Farben',
+    'page.settings.overlay': 'Markierungen auf Stickern',
+    'page.settings.feedbackStyle': 'Rückmeldungslinien',
+    'page.settings.scheme': 'FARBSCHEMA',
+    'page.settings.schemeIntro': 'Passe die Farben an deinen eigenen Würfel an. Wählst du eine Farbe, die schon eine ' +
+        'andere Seite hat, werden die beiden getauscht.',
+    'page.settings.schemePreset': 'Schema',
+    'page.settings.backup': 'SICHERUNG',
+    'page.settings.backupIntro': 'Übertrage Fortschritt und Statistik auf ein anderes Gerät oder sichere sie, bevor ' +
+        'du Browserdaten löschst. Beim Importieren wird ergänzt statt ersetzt.',
+    'page.settings.export': 'Exportieren',
+    'page.settings.import': 'Importieren',
+    'page.keys.title': 'TASTATUR',
+    'page.keys.intro': 'Klicke auf eine Taste, um sie zu ändern. Strg+Z und Strg+Umschalt+Z machen immer rückgängig ' +
+        'und wiederholen.',
+    'page.keys.reset': 'Auf Standard zurücksetzen',
+    'page.tutorial.open': 'Spielanleitung',
+    'page.tutorial.title': 'SPIELANLEITUNG',
+    'page.tutorial.goal': 'Errate das CUBLE mit so wenigen Versuchen wie möglich.',
+    'page.tutorial.solvable': 'Jeder Versuch muss ein lösbarer Würfel sein. Anzeigen für die Ausrichtungsparität ' +
+        'von Ecken und Kanten und für die Permutationsparität helfen dir dabei.',
+    'page.tutorial.controls': 'Klicke oder tippe auf einen Stein, um ihn auszuwählen. Mit ❌ löschst du einen ' +
+        'Stein, mit 🔄 kippst du eine Kante oder drehst eine Ecke, und mit ✅ gibst du ab.',
+    'page.tutorial.notation': 'Wenn du lieber in Algorithmen denkst, tippe nach einem Klick auf T eine Verdrehung ' +
+        'in WCA-Notation ein (etwa <code>R U R\' U\' M2 Fw</code>). Der Versuch ist dann der gelöste Würfel nach ' +
+        'diesen Zügen.',
+    'page.tutorial.feedback': 'Nach jedem Versuch zeigt dir eine 2D-Abwicklung, wie nah du an der echten ' +
+        'Verdrehung warst. <em>Unmarkierte</em> Felder haben die richtige Farbe. Ein Feld ist ' +
+        '<em>durchgekreuzt</em>, wenn seine Farbe auf keinem Feld der GLEICHEN ART (Ecke oder Kante) dieser Seite ' +
+        'vorkommt. Ein <em>Schrägstrich</em> bedeutet, dass das Feld die falsche Farbe hat, aber ein anderes ' +
+        '<em>falsch gefärbtes</em> Feld der GLEICHEN ART (Ecke oder Kante) auf dieser Seite diese Farbe haben sollte.',
+    'page.tutorial.rules': 'Du hast standardmäßig 6 Versuche, was sich in den Einstellungen ändern lässt. Im ' +
+        'schweren Modus muss außerdem jedes richtige Feld bleiben und jede schräg markierte Farbe wieder auf ein ' +
+        'Feld der gleichen Art auf dieser Seite.',
+    'page.tutorial.daily': 'Jeden Tag um Mitternacht UTC gibt es ein neues CUBLE, damit alle überall denselben ' +
+        'Würfel bekommen. Dein Team kann unter Statistik eine andere Zeitzone wählen, solange alle dieselbe wählen.',
+    'page.tutorial.example': 'Beispiel',
+    'page.tutorial.exampleLabel': 'Eine Seite mit Rückmeldung, wie unten beschrieben',
+    'page.tutorial.center': 'Das MITTELFELD ist immer richtig und kann nicht geändert werden.',
+    'page.tutorial.correct': 'Die ECKE oben links hat die richtige Farbe ' +
+        '<span class="color-name" data-face="U">weiß</span>.',
+    'page.tutorial.slashedCorner': 'Die schräg markierte ECKE unten links ist NICHT ' +
+        '<span class="color-name" data-face="U">weiß</span>, aber eine andere ECKE auf dieser Seite ist ' +
+        '<span class="color-name" data-face="U">weiß</span> (die richtige ECKE oben links nicht mitgezählt).',
+    'page.tutorial.slashedEdge': 'Die schräg markierte KANTE rechts ist NICHT ' +
+        '<span class="color-name" data-face="F">grün</span>, aber eine andere KANTE auf dieser Seite ist ' +
+        '<span class="color-name" data-face="F">grün</span>.',
+    'page.tutorial.crossedEdges': 'Die KANTEN oben, links und unten sind NICHT ' +
+        '<span class="color-name" data-face="L">orange</span>, <span class="color-name" data-face="R">rot</span> ' +
+        'oder <span class="color-name" data-face="B">blau</span>, und diese Farben kommen auf keiner anderen KANTE ' +
+        'vor. Auf ECKEN kann es diese Farben aber noch geben.',
+    'page.tutorial.crossedCorners': 'Die ECKEN oben rechts und unten rechts sind nicht ' +
+        '<span class="color-name" data-face="D">gelb</span> oder <span class="color-name" data-face="U">weiß</span>, ' +
+        'und diese Farben kommen auf keiner anderen ECKE vor (die schräg markierte ECKE unten links ' +
+        'mit <span class="color-name" data-face="U">weiß</span> schon berücksichtigt). Auf KANTEN kann ' +
+        'es diese Farben aber noch geben.',
+    'page.tutorial.tips': 'Tipps',
+    'page.tutorial.freeGuess': 'Als Starthilfe siehst du zuerst die Rückmeldung zum gelösten Würfel. Dieser ' +
+        'Gratisversuch zählt nicht.',
+    'page.tutorial.trainer': 'Im Trainer kannst du eine leichtere Schwierigkeit wählen: ein paar zufällige Züge ' +
+        'oder nur einige verdrehte Steine. Steine, die gelöst bleiben, sind gesperrt.',
+    'page.tutorial.challenge': 'Du willst gegen einen Freund antreten? Unter Herausforderung kopierst du einen ' +
+        'Link zu deinem Trainer-Würfel oder wählst einen Seed, den ihr beide spielt. Füge danach das geteilte ' +
+        'Ergebnis ein, um eure Spiele zu vergleichen.',
+    'page.tutorial.hotseat': 'Ihr spielt zusammen auf einem Gerät? Startet eine Hot-Seat-Partie für bis zu 4 ' +
+        'Spieler, die abwechselnd denselben Würfel raten. Die Rangliste zeigt, wer ihn mit den wenigsten Versuchen ' +
+        'gelöst hat.',
+    'page.tutorial.creator': 'Du trainierst jemanden? Unter Herausforderung kannst du auch ein Rätsel aus den ' +
+        'Steinen, den Stickern oder einer Verdrehung eines Falls erstellen, den er üben soll.',
+    'page.tutorial.clock': 'Du bist schnell? Schalte in den Einstellungen die Uhr ein, um deine Spiele zu stoppen, ' +
+        'oder spiele Blitz und löse den Würfel, bevor die Zeit abläuft. Deine Bestzeiten stehen in der Statistik.',
+    'page.tutorial.history': 'Klicke auf die Zahlen unter der 2D-Abwicklung, um dir die Rückmeldung eines früheren ' +
+        'Versuchs noch einmal anzusehen. Mit der hervorgehobenen Zahl oder ↩ kommst du zu deinem aktuellen Versuch ' +
+        'zurück.',
+    'page.tutorial.assistant': 'Du kommst nicht weiter? Schalte in den Einstellungen die Denkhilfe ein, um zu ' +
+        'sehen, wie viele Steine noch an jede Stelle passen, und um die Steine einzusetzen, bei denen die ' +
+        'Rückmeldung keine Wahl lässt.',
+    'page.tutorial.accessibility': 'Du kannst Farben schlecht unterscheiden? In den Einstellungen gibt es ' +
+        'farbenblindfreundliche Farben, Buchstaben oder Formen auf jedem Sticker und kräftigere Rückmeldungslinien.',
+    'page.tutorial.keyboard': 'Du kannst auch nur mit der Tastatur spielen: ? zeigt alle Tastenkürzel, die du ' +
+        'auch ändern kannst. Screenreader sagen den ausgewählten Stein an und können die Rückmeldung jedes Versuchs ' +
+        'als Tabelle vorlesen.',
+    'page.tutorial.undo': 'Vertan? Mit den Pfeiltasten unten oder Strg+Z und Strg+Umschalt+Z machst du Änderungen ' +
+        'rückgängig und wiederholst sie. Mit jedem Versuch beginnt der Verlauf neu.',
+    'page.tutorial.unique': 'Jeder Stein kann nur einmal verwendet werden, du musst also erst einen Stein löschen, ' +
+        'um einen anderen zu ändern.',
+    'page.tutorial.saving': 'Das Spiel speichert nach jedem Versuch automatisch und sperrt Steine, die richtig ' +
+        'sitzen und richtig ausgerichtet sind, damit du deinen Fortschritt nicht aus Versehen zerstörst.',
+    'page.tutorial.share': 'Das Ergebnis, das du nach dem Spiel teilen kannst, zeigt die Rückmeldung jedes Versuchs ' +
+        'als grüne (richtig), gelbe (schräg markiert) und weiße (durchgekreuzt) Felder. Die zwei Zahlenreihen ' +
+        'darüber zeigen, in welchem Versuch jeder Stein richtig war, in dieser Reihenfolge (erst Kanten, dann Ecken):',
+    'page.tutorial.fixing': 'Einen unlösbaren Würfel reparieren',
+    'page.tutorial.solvability': 'So wie WORDLE gültige Wörter verlangt, verlangt CUBLE lösbare Verdrehungen. Ein ' +
+        'Würfel ist lösbar, wenn die Ausrichtungsparität der Ecken (CP), die der Kanten (EP) und die ' +
+        'Permutationsparität (PP) alle null sind. Ist dein Würfel nicht lösbar, erklärt Cuble warum und schlägt ' +
+        'Reparaturen vor: Fahre mit der Maus darüber, um die betroffenen Steine zu sehen, und klicke, um sie ' +
+        'anzuwenden.',
+    'page.tutorial.safeMoves': 'Damit der Würfel immer lösbar bleibt, beschränke dich am besten auf diese Änderungen:',
+    'page.tutorial.safeFlip': 'Zwei Kanten kippen',
+    'page.tutorial.safeTwist': 'Drei Ecken einmal drehen',
+    'page.tutorial.safeTwistTwo': 'Eine Ecke zweimal und eine andere einmal drehen',
+    'page.tutorial.safeCycle': 'Drei Steine im Kreis tauschen und ihre Ausrichtung beibehalten',
+    'page.tutorial.safeSwap': 'Zwei PAARE von Steinen tauschen und ihre Ausrichtung beibehalten',
+    'page.tutorial.fixes': 'Trotzdem ist es nicht schwer, einen unlösbaren Würfel zu reparieren:',
+    'page.tutorial.fixEdges': 'Ist EP nicht null, kippe eine beliebige Kante.',
+    'page.tutorial.fixCorners': 'Ist CP nicht null, drehe eine oder mehrere Ecken, bis es null ist.',
+    'page.tutorial.fixPermutation': 'Ist PP nicht null, tausche zwei beliebige Steine.',
+    'page.tutorial.issues': 'Melde einen Fehler oder wünsche dir eine Funktion in den GitHub-Issues.',
+    'page.tutorial.read': 'Ich habe die Anleitung gelesen und weiß, dass ich sie über das ℹ️-Symbol oben rechts ' +
+        'wiederfinde.',
+    'page.tutorial.play': 'SPIELEN',
+    'page.moves': 'Zugfolge',
+    'page.solution.back': 'Vorheriger Zug',
+    'page.solution.play': 'Abspielen oder anhalten',
+    'page.solution.forward': 'Nächster Zug',
+    'page.solution.close': 'Lösung schließen',
+    'page.assistant.fill': 'Erzwungene einsetzen',
+    'page.pieceInput': 'Stein, z. B. UFR',
+    'page.erase': 'Löschen',
+    'page.rotate': 'Drehen',
+    'page.undo': 'Rückgängig',
+    'page.redo': 'Wiederholen',
+    'page.notation': 'Züge eintippen',
+    'page.submit': 'Abgeben',
+};
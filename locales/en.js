@@ -0,0 +1,220 @@
+// Messages shown from scripts. The static text of the page is written in English in index.html.
+export default {
+    'mode.daily': 'DAILY MODE: CUBLE #{number}',
+    'mode.archive': 'ARCHIVE: CUBLE #{number}',
+    'mode.challenge': 'CHALLENGE: {name}',
+    'mode.hotseat': 'HOT SEAT: {name}',
+    'mode.trainer': 'TRAINER MODE',
+    'mode.toDaily': 'Daily Mode',
+    'mode.toTrainer': 'Trainer Mode',
+    'mode.name.daily': 'Daily',
+    'mode.name.archive': 'Archive',
+    'mode.name.trainer': 'Trainer',
+    'mode.name.challenge': 'Challenge',
+
+    'daily.available': 'A new daily Cuble is out. Play it from the button at the top once you are done here.',
+
+    'difficulty.full': 'Full scramble',
+    'difficulty.moves3': '3 random moves',
+    'difficulty.moves5': '5 random moves',
+    'difficulty.moves8': '8 random moves',
+    'difficulty.lastLayer': 'Last layer only',
+    'difficulty.edges': 'Edges only',
+    'difficulty.corners': 'Corners only',
+    'difficulty.edgePermutation': 'Only edges permuted',
+    'difficulty.cornerPermutation': 'Only corners permuted',
+    'difficulty.orientation': 'Only orientation',
+
+    'game.lost': {
+        one: 'Game Over! Maximum {count} guess reached.',
+        other: 'Game Over! Maximum {count} guesses reached.',
+    },
+    'game.won': { one: 'You won in {count} guess!', other: 'You won in {count} guesses!' },
+    'game.timeUp': 'Game Over! You ran out of time.',
+    'game.pieces': 'Pieces: {solved}/20',
+    'game.stickers': 'Stickers: {solved}/54',
+    'game.share': '📋 Share',
+    'game.copied': 'Copied results to clipboard!',
+    'game.copyFailed': 'Could not copy to clipboard!',
+    'game.solution': '🧩 Solution',
+    'share.title': 'Cuble {title} ({mode}): {result}/{maxGuesses}',
+
+    'hardMode.keep': 'Hard mode: keep the correct {color} sticker on the {face} face.',
+    'hardMode.useCorner': 'Hard mode: use the slashed {color} corner sticker on the {face} face again.',
+    'hardMode.useEdge': 'Hard mode: use the slashed {color} edge sticker on the {face} face again.',
+
+    'notation.moves': { one: '{count} move', other: '{count} moves' },
+    'notation.unknown': 'Unknown move {move}.',
+
+    'parity.missingEdges': { one: '{count} edge is missing.', other: '{count} edges are missing.' },
+    'parity.missingCorners': { one: '{count} corner is missing.', other: '{count} corners are missing.' },
+    'parity.put': 'Put {piece} in {slot}',
+    'parity.flipped': 'One edge is flipped: flip any edge to fix it.',
+    'parity.flip': 'Flip {slot}',
+    'parity.twistedClockwise': 'One corner is twisted: twist any corner clockwise to fix it.',
+    'parity.twistedCounterClockwise': 'One corner is twisted: twist any corner counter-clockwise to fix it.',
+    'parity.twistClockwise': 'Twist {slot} clockwise',
+    'parity.twistCounterClockwise': 'Twist {slot} counter-clockwise',
+    'parity.swapped': 'Two pieces are swapped: swap any two edges or any two corners to fix it.',
+    'parity.swap': 'Swap {a} and {b}',
+
+    'cube.label': 'Your guess as a 3D cube. Select pieces with the keyboard, press ? for the shortcuts.',
+    'cube.nothingSelected': 'Nothing selected.',
+    'cube.sticker': '{color} on {face}',
+    'cube.emptySticker': 'empty',
+    'cube.center': "{name} center: {stickers}. Centers can't be changed.",
+    'cube.emptySpot': '{name}: empty.',
+    'cube.spot': '{name}: {stickers}.',
+    'cube.locked': 'Correct and locked.',
+    'cube.pieceLocked': 'Correct piece, can only be rotated.',
+    'picker.piece': '{piece}: {colors}',
+    'picker.ruledOut': '{piece}: {colors}, ruled out by the feedback',
+    'typePiece.select': 'Select a piece you can change first.',
+    'typePiece.used': '{piece} is already used, erase it first.',
+    'typePiece.noEdge': 'No edge has the colors {colors}.',
+    'typePiece.noCorner': 'No corner has the colors {colors}.',
+
+    'feedback.caption': 'Feedback of the guess',
+    'feedback.face': 'Face',
+    'feedback.sticker': '{color}, {feedback}',
+    'feedback.correct': 'correct',
+    'feedback.slashed': 'slashed',
+    'feedback.crossed': 'crossed out',
+    'position.0': 'top left',
+    'position.1': 'top',
+    'position.2': 'top right',
+    'position.3': 'left',
+    'position.4': 'center',
+    'position.5': 'right',
+    'position.6': 'bottom left',
+    'position.7': 'bottom',
+    'position.8': 'bottom right',
+
+    'color.white': 'white',
+    'color.yellow': 'yellow',
+    'color.red': 'red',
+    'color.orange': 'orange',
+    'color.green': 'green',
+    'color.blue': 'blue',
+    // Marks for the color letters overlay, which must all differ
+    'letter.white': 'W',
+    'letter.yellow': 'Y',
+    'letter.red': 'R',
+    'letter.orange': 'O',
+    'letter.green': 'G',
+    'letter.blue': 'B',
+    'face.U': 'top',
+    'face.L': 'left',
+    'face.F': 'front',
+    'face.R': 'right',
+    'face.B': 'back',
+    'face.D': 'bottom',
+    'schemeFace.U': 'Top (U)',
+    'schemeFace.L': 'Left (L)',
+    'schemeFace.F': 'Front (F)',
+    'schemeFace.R': 'Right (R)',
+    'schemeFace.B': 'Back (B)',
+    'schemeFace.D': 'Bottom (D)',
+
+    'palette.classic': 'Classic',
+    'palette.okabeIto': 'Red-green safe',
+    'palette.highContrast': 'High contrast',
+    'scheme.western': 'Western',
+    'scheme.yellowTop': 'Western, yellow top',
+    'scheme.japanese': 'Japanese',
+    'scheme.custom': 'Custom',
+    'overlay.none': 'None',
+    'overlay.letters': 'Color letters',
+    'overlay.patterns': 'Shapes',
+    'feedbackStyle.classic': 'Thin lines',
+    'feedbackStyle.bold': 'High contrast',
+
+    'history.free': 'Free guess',
+    'history.guess': 'Guess {number}',
+    'history.back': 'Back to your guess',
+
+    'assistant.status': '{forced}/20 pieces forced, {oriented} with orientation',
+
+    'keys.rebind': 'Click, then press the new key',
+    'keys.space': 'Space',
+    'keys.up': 'Select the piece above',
+    'keys.left': 'Select the piece to the left',
+    'keys.down': 'Select the piece below',
+    'keys.right': 'Select the piece to the right',
+    'keys.nextPiece': 'Put the next unused piece in the selected spot',
+    'keys.previousPiece': 'Put the previous unused piece in the selected spot',
+    'keys.typePiece': 'Type the name of the piece to put in the selected spot',
+    'keys.erase': 'Erase the selected piece',
+    'keys.rotate': 'Flip or twist the selected piece',
+    'keys.submit': 'Submit your guess',
+    'keys.viewLeft': 'Turn the view a quarter to the left',
+    'keys.viewRight': 'Turn the view a quarter to the right',
+    'keys.viewFlip': 'Look at the cube from above or below',
+    'keys.help': 'Show the keyboard shortcuts',
+
+    'backup.unreadable': 'The file could not be read.',
+    'backup.notBackup': 'This is not a Cuble backup.',
+    'backup.noData': 'The backup contains no data.',
+    'backup.newer': 'This backup was made by a newer version of Cuble.',
+    'backup.invalidEntry': 'The backup contains an invalid entry {key}.',
+    'backup.damagedStats': 'The statistics in the backup are damaged.',
+    'backup.damagedResults': 'The daily results in the backup are damaged.',
+    'backup.damaged': 'The backup is damaged.',
+
+    'clock.off': 'Off',
+    'clock.stopwatch': 'Stopwatch',
+    'clock.blitz': 'Blitz',
+    'clock.minutes': { one: '{count} minute', other: '{count} minutes' },
+
+    'challenge.custom': 'Custom cube',
+    'challenge.invalid': 'This challenge link is broken.',
+    'challenge.otherPuzzle': 'This is not a result for this cube.',
+    'challenge.badSeed': 'Seeds are 1 to 32 letters and digits.',
+    'challenge.compare': '⚔️ Compare',
+    'challenge.copied': 'Copied the link to clipboard!',
+    'challenge.guess': 'Guess',
+    'challenge.you': 'You',
+    'challenge.friend': 'Friend',
+    'challenge.result': 'Result',
+    'challenge.youWin': 'You win!',
+    'challenge.friendWins': 'Your friend wins!',
+    'challenge.tie': "It's a tie!",
+    'challenge.time': 'Time',
+
+    'hotseat.player': 'Player {number}',
+    'hotseat.next': 'Pass to {name} ➡️',
+    'hotseat.scoreboard': '🏆 Scoreboard',
+    'hotseat.turn': "{name}'s turn",
+    'hotseat.guess': 'Guess {number} of {maxGuesses}. Make sure nobody else is looking!',
+    'hotseat.rank': '#',
+    'hotseat.name': 'Player',
+    'hotseat.guesses': 'Guesses',
+    'hotseat.stickers': 'Stickers',
+    'hotseat.status': 'Status',
+    'hotseat.solved': 'Solved',
+    'hotseat.out': 'Out of guesses',
+    'hotseat.playing': 'Playing',
+    'hotseat.wins': '{name} wins!',
+    'hotseat.tie': "It's a tie!",
+
+    'creator.count': 'Enter a piece for each of the 20 slots, separated by spaces.',
+    'creator.painting': 'Some pieces have colors that do not exist or are used twice.',
+    'creator.edges': 'Cannot solve: the edges are not oriented correctly.',
+    'creator.corners': 'Cannot solve: the corners are not oriented correctly.',
+    'creator.parity': 'Cannot solve: only one pair of corners or edges is swapped.',
+    'creator.slots': 'Edges can only go in edge slots and corners in corner slots.',
+    'creator.centers': 'The centers have to be U, L, F, R, B and D, in this order.',
+    'creator.solved': 'This is the solved cube, which everyone gets as a free guess.',
+
+    'solution.solving': 'Solving...',
+    'solution.progress': 'Solving... {percent}%',
+    'solution.failed': 'Could not solve this cube.',
+    'solution.step': 'Scramble: move {step}/{total}',
+
+    'stats.noGames': 'No games yet',
+    'stats.rank': '#',
+    'stats.time': 'Time',
+    'stats.guesses': 'Guesses',
+    'stats.date': 'Date',
+    'stats.splits': 'Time per guess',
+};
@@ -0,0 +1,411 @@
+export default {
+    'mode.daily': 'MODO DIARIO: CUBLE #{number}',
+    'mode.archive': 'ARCHIVO: CUBLE #{number}',
+    'mode.challenge': 'DESAFÍO: {name}',
+    'mode.hotseat': 'POR TURNOS: {name}',
+    'mode.trainer': 'MODO ENTRENAMIENTO',
+    'mode.toDaily': 'Modo diario',
+    'mode.toTrainer': 'Modo entrenamiento',
+    'mode.name.daily': 'Diario',
+    'mode.name.archive': 'Archivo',
+    'mode.name.trainer': 'Entrenamiento',
+    'mode.name.challenge': 'Desafío',
+
+    'daily.available': 'Ya hay un nuevo Cuble diario. Juégalo con el botón de arriba cuando termines aquí.',
+
+    'difficulty.full': 'Mezcla completa',
+    'difficulty.moves3': '3 movimientos al azar',
+    'difficulty.moves5': '5 movimientos al azar',
+    'difficulty.moves8': '8 movimientos al azar',
+    'difficulty.lastLayer': 'Solo la última capa',
+    'difficulty.edges': 'Solo aristas',
+    'difficulty.corners': 'Solo esquinas',
+    'difficulty.edgePermutation': 'Solo aristas permutadas',
+    'difficulty.cornerPermutation': 'Solo esquinas permutadas',
+    'difficulty.orientation': 'Solo orientación',
+
+    'game.lost': {
+        one: '¡Fin del juego! Has usado tu único intento.',
+        other: '¡Fin del juego! Has usado los {count} intentos.',
+    },
+    'game.won': { one: '¡Has ganado en {count} intento!', other: '¡Has ganado en {count} intentos!' },
+    'game.timeUp': '¡Fin del juego! Se te acabó el tiempo.',
+    'game.pieces': 'Piezas: {solved}/20',
+    'game.stickers': 'Pegatinas: {solved}/54',
+    'game.share': '📋 Compartir',
+    'game.copied': '¡Resultado copiado al portapapeles!',
+    'game.copyFailed': '¡No se pudo copiar al portapapeles!',
+    'game.solution': '🧩 Solución',
+    'share.title': 'Cuble {title} ({mode}): {result}/{maxGuesses}',
+
+    'hardMode.keep': 'Modo difícil: mantén la pegatina {color} correcta en la cara {face}.',
+    'hardMode.useCorner': 'Modo difícil: vuelve a usar el color {color} tachado en una esquina de la cara {face}.',
+    'hardMode.useEdge': 'Modo difícil: vuelve a usar el color {color} tachado en una arista de la cara {face}.',
+
+    'notation.moves': { one: '{count} movimiento', other: '{count} movimientos' },
+    'notation.unknown': 'Movimiento desconocido {move}.',
+
+    'parity.missingEdges': { one: 'Falta {count} arista.', other: 'Faltan {count} aristas.' },
+    'parity.missingCorners': { one: 'Falta {count} esquina.', other: 'Faltan {count} esquinas.' },
+    'parity.put': 'Poner {piece} en {slot}',
+    'parity.flipped': 'Hay una arista volteada: voltea cualquier arista para arreglarlo.',
+    'parity.flip': 'Voltear {slot}',
+    'parity.twistedClockwise': 'Hay una esquina girada: gira cualquier esquina en sentido horario para arreglarlo.',
+    'parity.twistedCounterClockwise': 'Hay una esquina girada: gira cualquier esquina en sentido antihorario para ' +
+        'arreglarlo.',
+    'parity.twistClockwise': 'Girar {slot} en sentido horario',
+    'parity.twistCounterClockwise': 'Girar {slot} en sentido antihorario',
+    'parity.swapped': 'Hay dos piezas intercambiadas: intercambia dos aristas o dos esquinas cualesquiera para ' +
+        'arreglarlo.',
+    'parity.swap': 'Intercambiar {a} y {b}',
+
+    'cube.label': 'Tu intento como cubo en 3D. Elige piezas con el teclado, pulsa ? para ver los atajos.',
+    'cube.nothingSelected': 'No hay nada seleccionado.',
+    'cube.sticker': '{color} en {face}',
+    'cube.emptySticker': 'vacía',
+    'cube.center': 'Centro {name}: {stickers}. Los centros no se pueden cambiar.',
+    'cube.emptySpot': '{name}: vacío.',
+    'cube.spot': '{name}: {stickers}.',
+    'cube.locked': 'Correcta y bloqueada.',
+    'cube.pieceLocked': 'Pieza correcta, solo se puede girar.',
+    'picker.piece': '{piece}: {colors}',
+    'picker.ruledOut': '{piece}: {colors}, descartada por las pistas',
+    'typePiece.select': 'Primero elige una pieza que se pueda cambiar.',
+    'typePiece.used': '{piece} ya está en uso, bórrala primero.',
+    'typePiece.noEdge': 'Ninguna arista tiene los colores {colors}.',
+    'typePiece.noCorner': 'Ninguna esquina tiene los colores {colors}.',
+
+    'feedback.caption': 'Pistas del intento',
+    'feedback.face': 'Cara',
+    'feedback.sticker': '{color}, {feedback}',
+    'feedback.correct': 'correcta',
+    'feedback.slashed': 'con barra',
+    'feedback.crossed': 'tachada',
+    'position.0': 'arriba a la izquierda',
+    'position.1': 'arriba',
+    'position.2': 'arriba a la derecha',
+    'position.3': 'izquierda',
+    'position.4': 'centro',
+    'position.5': 'derecha',
+    'position.6': 'abajo a la izquierda',
+    'position.7': 'abajo',
+    'position.8': 'abajo a la derecha',
+
+    'color.white': 'blanco',
+    'color.yellow': 'amarillo',
+    'color.red': 'rojo',
+    'color.orange': 'naranja',
+    'color.green': 'verde',
+    'color.blue': 'azul',
+    'letter.white': 'B',
+    'letter.yellow': 'Am',
+    'letter.red': 'R',
+    'letter.orange': 'N',
+    'letter.green': 'V',
+    'letter.blue': 'Az',
+    'face.U': 'superior',
+    'face.L': 'izquierda',
+    'face.F': 'frontal',
+    'face.R': 'derecha',
+    'face.B': 'trasera',
+    'face.D': 'inferior',
+    'schemeFace.U': 'Superior (U)',
+    'schemeFace.L': 'Izquierda (L)',
+    'schemeFace.F': 'Frontal (F)',
+    'schemeFace.R': 'Derecha (R)',
+    'schemeFace.B': 'Trasera (B)',
+    'schemeFace.D': 'Inferior (D)',
+
+    'palette.classic': 'Clásica',
+    'palette.okabeIto': 'Apta para daltonismo rojo-verde',
+    'palette.highContrast': 'Alto contraste',
+    'scheme.western': 'Occidental',
+    'scheme.yellowTop': 'Occidental, amarillo arriba',
+    'scheme.japanese': 'Japonés',
+    'scheme.custom': 'Personalizado',
+    'overlay.none': 'Ninguna',
+    'overlay.letters': 'Letras de color',
+    'overlay.patterns': 'Formas',
+    'feedbackStyle.classic': 'Líneas finas',
+    'feedbackStyle.bold': 'Alto contraste',
+
+    'history.free': 'Intento gratis',
+    'history.guess': 'Intento {number}',
+    'history.back': 'Volver a tu intento',
+
+    'assistant.status': '{forced}/20 piezas forzadas, {oriented} con orientación',
+
+    'keys.rebind': 'Haz clic y pulsa la nueva tecla',
+    'keys.space': 'Espacio',
+    'keys.up': 'Elegir la pieza de arriba',
+    'keys.left': 'Elegir la pieza de la izquierda',
+    'keys.down': 'Elegir la pieza de abajo',
+    'keys.right': 'Elegir la pieza de la derecha',
+    'keys.nextPiece': 'Poner la siguiente pieza libre en el hueco elegido',
+    'keys.previousPiece': 'Poner la pieza libre anterior en el hueco elegido',
+    'keys.typePiece': 'Escribir el nombre de la pieza para el hueco elegido',
+    'keys.erase': 'Borrar la pieza elegida',
+    'keys.rotate': 'Voltear o girar la pieza elegida',
+    'keys.submit': 'Enviar el intento',
+    'keys.viewLeft': 'Girar la vista un cuarto a la izquierda',
+    'keys.viewRight': 'Girar la vista un cuarto a la derecha',
+    'keys.viewFlip': 'Ver el cubo desde arriba o desde abajo',
+    'keys.help': 'Mostrar los atajos de teclado',
+
+    'backup.unreadable': 'No se pudo leer el archivo.',
+    'backup.notBackup': 'Esto no es una copia de seguridad de Cuble.',
+    'backup.noData': 'La copia de seguridad no contiene datos.',
+    'backup.newer': 'Esta copia de seguridad es de una versión más reciente de Cuble.',
+    'backup.invalidEntry': 'La copia de seguridad contiene una entrada no válida {key}.',
+    'backup.damagedStats': 'Las estadísticas de la copia de seguridad están dañadas.',
+    'backup.damagedResults': 'Los resultados diarios de la copia de seguridad están dañados.',
+    'backup.damaged': 'La copia de seguridad está dañada.',
+
+    'clock.off': 'Desactivado',
+    'clock.stopwatch': 'Cronómetro',
+    'clock.blitz': 'Blitz',
+    'clock.minutes': { one: '{count} minuto', other: '{count} minutos' },
+
+    'challenge.custom': 'Cubo personalizado',
+    'challenge.invalid': 'Este enlace de desafío no es válido.',
+    'challenge.otherPuzzle': 'Este no es un resultado de este cubo.',
+    'challenge.badSeed': 'Las semillas tienen de 1 a 32 letras y dígitos.',
+    'challenge.compare': '⚔️ Comparar',
+    'challenge.copied': '¡Enlace copiado al portapapeles!',
+    'challenge.guess': 'Intento',
+    'challenge.you': 'Tú',
+    'challenge.friend': 'Amigo',
+    'challenge.result': 'Resultado',
+    'challenge.youWin': '¡Ganas tú!',
+    'challenge.friendWins': '¡Gana tu amigo!',
+    'challenge.tie': '¡Empate!',
+    'challenge.time': 'Tiempo',
+
+    'hotseat.player': 'Jugador {number}',
+    'hotseat.next': 'Pasar a {name} ➡️',
+    'hotseat.scoreboard': '🏆 Clasificación',
+    'hotseat.turn': 'Turno de {name}',
+    'hotseat.guess': 'Intento {number} de {maxGuesses}. ¡Asegúrate de que nadie más mire!',
+    'hotseat.rank': '#',
+    'hotseat.name': 'Jugador',
+    'hotseat.guesses': 'Intentos',
+    'hotseat.stickers': 'Pegatinas',
+    'hotseat.status': 'Estado',
+    'hotseat.solved': 'Resuelto',
+    'hotseat.out': 'Sin intentos',
+    'hotseat.playing': 'Jugando',
+    'hotseat.wins': '¡Gana {name}!',
+    'hotseat.tie': '¡Empate!',
+
+    'creator.count': 'Indica una pieza para cada uno de los 20 huecos, separadas por espacios.',
+    'creator.painting': 'Algunas piezas tienen colores que no existen o que se repiten.',
+    'creator.edges': 'No se puede resolver: las aristas no están bien orientadas.',
+    'creator.corners': 'No se puede resolver: las esquinas no están bien orientadas.',
+    'creator.parity': 'No se puede resolver: solo hay un par de esquinas o aristas intercambiadas.',
+    'creator.slots': 'Las aristas solo pueden ir en huecos de arista y las esquinas en huecos de esquina.',
+    'creator.centers': 'Los centros deben ser U, L, F, R, B y D, en este orden.',
+    'creator.solved': 'Este es el cubo resuelto, que todos reciben como intento gratis.',
+
+    'solution.solving': 'Resolviendo...',
+    'solution.progress': 'Resolviendo... {percent} %',
+    'solution.failed': 'No se pudo resolver este cubo.',
+    'solution.step': 'Mezcla: movimiento {step}/{total}',
+
+    'stats.noGames': 'Aún no hay partidas',
+    'stats.rank': '#',
+    'stats.time': 'Tiempo',
+    'stats.guesses': 'Intentos',
+    'stats.date': 'Fecha',
+    'stats.splits': 'Tiempo por intento',
+
+    'page.newGame': 'Nueva partida',
+    'page.loadDaily': 'Jugar el nuevo Cuble diario',
+    'page.difficulty': 'Dificultad del entrenamiento',
+    'page.openArchive': 'Archivo',
+    'page.ok': 'Aceptar',
+    'page.archive.title': 'ARCHIVO',
+    'page.archive.intro': 'Juega los Cubles diarios que te perdiste. El progreso de cada uno se guarda por separado.',
+    'page.archive.previous': 'Mes anterior',
+    'page.archive.next': 'Mes siguiente',
+    'page.openChallenge': 'Desafío',
+    'page.challenge.title': 'DESAFÍO',
+    'page.challenge.intro': 'Compite con tus amigos en el mismo cubo. Envíales un enlace a tu cubo de ' +
+        'entrenamiento, o jugad todos la misma semilla con la misma dificultad de entrenamiento.',
+    'page.challenge.copy': 'Copiar el enlace a este cubo',
+    'page.challenge.seed': 'Semilla',
+    'page.challenge.play': 'Jugar',
+    'page.challenge.compare': 'COMPARACIÓN',
+    'page.challenge.paste': 'Pega el resultado que compartió tu amigo tras jugar este cubo.',
+    'page.challenge.rival': 'Resultado de tu amigo',
+    'page.creator.title': 'CREAR UN PUZLE',
+    'page.creator.intro': 'Prepara un caso concreto para jugarlo o enviarlo. Indica la pieza de cada hueco ' +
+        '(<code>UF UR UB UL DF DR DB DL FR FL BR BL UFR URB UBL ULF DRF DFL DLB DBR</code> es el cubo resuelto), ' +
+        'las 54 pegatinas cara por cara en el orden ULFRBD o una mezcla en notación WCA.',
+    'page.creator.input': 'Puzle',
+    'page.creator.play': 'Jugar',
+    'page.creator.copy': 'Copiar enlace',
+    'page.openHotSeat': 'Por turnos',
+    'page.hotseat.title': 'POR TURNOS',
+    'page.hotseat.scoreboard': 'CLASIFICACIÓN',
+    'page.hotseat.resume': 'Reanudar partida',
+    'page.hotseat.newMatch': 'NUEVA PARTIDA',
+    'page.hotseat.intro': 'Adivinad por turnos el mismo cubo en un solo dispositivo. Cada uno hace sus propios ' +
+        'intentos y recibe sus propias pistas, un intento por turno. El cubo se mezcla con la dificultad del ' +
+        'entrenamiento.',
+    'page.hotseat.players': 'Jugadores',
+    'page.hotseat.start': 'Empezar partida',
+    'page.hotseat.startTurn': 'Empezar turno',
+    'page.stats.open': 'Estadísticas',
+    'page.stats.title': 'ESTADÍSTICAS',
+    'page.stats.mode': 'Partidas mostradas',
+    'page.stats.all': 'Todas las partidas',
+    'page.stats.daily': 'Diario',
+    'page.stats.archive': 'Archivo',
+    'page.stats.trainer': 'Entrenamiento',
+    'page.stats.challenge': 'Desafío',
+    'page.stats.played': 'Jugadas',
+    'page.stats.winRate': '% de victorias',
+    'page.stats.currentStreak': 'Racha actual',
+    'page.stats.maxStreak': 'Mejor racha',
+    'page.stats.distribution': 'DISTRIBUCIÓN DE INTENTOS',
+    'page.stats.progress': 'PEGATINAS RESUELTAS DE MEDIA EN CADA INTENTO',
+    'page.stats.bestTimes': 'MEJORES TIEMPOS',
+    'page.stats.difficulty': 'Dificultad',
+    'page.stats.noTimes': 'Gana una partida con el reloj activado para registrar un tiempo.',
+    'page.stats.next': 'PRÓXIMO CUBLE EN: ',
+    'page.stats.offset': 'Nuevo Cuble cada día a medianoche en',
+    'page.settings.open': 'Ajustes',
+    'page.settings.title': 'AJUSTES',
+    'page.settings.language': 'Idioma',
+    'page.settings.maxGuesses': 'Máximo de intentos',
+    'page.settings.hardMode': 'Modo difícil: las pegatinas correctas deben quedarse y los colores con barra deben ' +
+        'volver a usarse en la misma cara',
+    'page.settings.clock': 'Reloj',
+    'page.settings.timeLimit': 'Límite de tiempo',
+    'page.settings.rules': 'Los cambios de reglas solo afectan a partidas en las que aún no has enviado ningún ' +
+        'intento.',
+    'page.settings.assistant': 'Asistente: cada pieza muestra cuántas piezas y orientaciones siguen encajando con ' +
+        'las pistas, y las piezas forzadas se pueden colocar',
+    'page.settings.keys': 'Atajos de teclado',
+    'page.settings.accessibility': 'ACCESIBILIDAD',
+    'page.settings.palette': 'Colores',
+    'page.settings.overlay': 'Marcas en las pegatinas',
+    'page.settings.feedbackStyle': 'Líneas de las pistas',
+    'page.settings.scheme': 'ESQUEMA DE COLORES',
+    'page.settings.schemeIntro': 'Ajusta los colores a los de tu propio cubo. Si eliges un color que ya tiene otra ' +
+        'cara, las dos se intercambian.',
+    'page.settings.schemePreset': 'Esquema',
+    'page.settings.backup': 'COPIA DE SEGURIDAD',
+    'page.settings.backupIntro': 'Lleva tu progreso y tus estadísticas a otro dispositivo o guárdalos antes de ' +
+        'borrar los datos del navegador. Al importar se combinan los datos en lugar de reemplazarlos.',
+    'page.settings.export': 'Exportar',
+    'page.settings.import': 'Importar',
+    'page.keys.title': 'TECLADO',
+    'page.keys.intro': 'Haz clic en una tecla para cambiarla. Ctrl+Z y Ctrl+Mayús+Z siempre deshacen y rehacen.',
+    'page.keys.reset': 'Restablecer',
+    'page.tutorial.open': 'Cómo jugar',
+    'page.tutorial.title': 'CÓMO JUGAR',
+    'page.tutorial.goal': 'Adivina el CUBLE en el menor número de intentos posible.',
+    'page.tutorial.solvable': 'Cada intento debe ser un cubo resoluble. Los indicadores de paridad de orientación ' +
+        'de esquinas y aristas y de paridad de permutación te ayudan con ello.',
+    'page.tutorial.controls': 'Haz clic o toca una pieza para elegirla. Usa ❌ para borrar una pieza, 🔄 para ' +
+        'voltear una arista o girar una esquina y ✅ para enviar.',
+    'page.tutorial.notation': 'Si prefieres pensar en algoritmos, pulsa T y escribe una mezcla en notación WCA ' +
+        '(por ejemplo <code>R U R\' U\' M2 Fw</code>). El intento será el cubo resuelto tras esos movimientos.',
+    'page.tutorial.feedback': 'Tras cada intento, una plantilla 2D muestra lo cerca que estás de la mezcla real. ' +
+        'Las casillas <em>sin marca</em> tienen el color correcto. Una casilla está <em>tachada</em> si su color no ' +
+        'aparece en ninguna casilla del MISMO TIPO (esquina o arista) de esa cara. Una <em>barra</em> indica que la ' +
+        'casilla tiene un color incorrecto, pero otra casilla <em>de color incorrecto</em> del MISMO TIPO (esquina ' +
+        'o arista) de esa cara debería tenerlo.',
+    'page.tutorial.rules': 'Tienes 6 intentos por defecto, y puedes cambiarlo en los ajustes. En modo difícil ' +
+        'además cada casilla correcta debe quedarse y cada color con barra debe volver a usarse en una casilla del ' +
+        'mismo tipo de esa cara.',
+    'page.tutorial.daily': 'Hay un CUBLE nuevo cada día a medianoche UTC, para que todo el mundo tenga el mismo ' +
+        'cubo. Tu grupo puede elegir otra zona horaria en Estadísticas, siempre que todos elijan la misma.',
+    'page.tutorial.example': 'Ejemplo',
+    'page.tutorial.exampleLabel': 'Una cara con pistas, descrita a continuación',
+    'page.tutorial.center': 'El CENTRO siempre es correcto y no se puede cambiar.',
+    'page.tutorial.correct': 'La ESQUINA de arriba a la izquierda tiene el color correcto, ' +
+        '<span class="color-name" data-face="U">blanco</span>.',
+    'page.tutorial.slashedCorner': 'La ESQUINA de abajo a la izquierda con barra NO es ' +
+        '<span class="color-name" data-face="U">blanco</span>, pero hay otra ESQUINA en esta cara que es ' +
+        '<span class="color-name" data-face="U">blanco</span> (sin contar la ESQUINA correcta de arriba a la ' +
+        'izquierda).',
+    'page.tutorial.slashedEdge': 'La ARISTA de la derecha con barra NO es ' +
+        '<span class="color-name" data-face="F">verde</span>, pero hay otra ARISTA en esta cara que es ' +
+        '<span class="color-name" data-face="F">verde</span>.',
+    'page.tutorial.crossedEdges': 'Las ARISTAS de arriba, de la izquierda y de abajo NO son ' +
+        '<span class="color-name" data-face="L">naranja</span>, <span class="color-name" data-face="R">rojo</span> ' +
+        'ni <span class="color-name" data-face="B">azul</span>, y esos colores no están en ninguna otra ARISTA. Aun ' +
+        'así, puede haber ESQUINAS con esos colores.',
+    'page.tutorial.crossedCorners': 'Las ESQUINAS de arriba y de abajo a la derecha no son ' +
+        '<span class="color-name" data-face="D">amarillo</span> ni ' +
+        '<span class="color-name" data-face="U">blanco</span>, y esos colores no están en ninguna otra ESQUINA ' +
+        '(teniendo en cuenta la ESQUINA con barra de abajo a la izquierda, ' +
+        '<span class="color-name" data-face="U">blanco</span>). Aun así, puede haber ARISTAS con esos colores.',
+    'page.tutorial.tips': 'Consejos',
+    'page.tutorial.freeGuess': 'Para empezar, primero ves las pistas del cubo resuelto. Este intento gratis no ' +
+        'cuenta.',
+    'page.tutorial.trainer': 'En el modo entrenamiento puedes elegir una dificultad más fácil: unos pocos ' +
+        'movimientos al azar o solo algunas piezas mezcladas. Las piezas que quedan resueltas están bloqueadas.',
+    'page.tutorial.challenge': '¿Quieres competir con un amigo? En Desafío, copia un enlace a tu cubo de ' +
+        'entrenamiento o elige una semilla que juguéis los dos, y luego pega el resultado que comparta para ' +
+        'comparar vuestras partidas.',
+    'page.tutorial.hotseat': '¿Jugáis juntos en un solo dispositivo? Empezad una partida por turnos de hasta 4 ' +
+        'jugadores, que adivinan por turnos el mismo cubo. La clasificación muestra quién lo resolvió en menos ' +
+        'intentos.',
+    'page.tutorial.creator': '¿Entrenas a alguien? En Desafío también puedes crear un puzle a partir de las ' +
+        'piezas, las pegatinas o una mezcla del caso que quieres que practique.',
+    'page.tutorial.clock': '¿Eres rápido? Activa el reloj en los ajustes para cronometrar tus partidas, o juega ' +
+        'blitz y resuelve el cubo antes de que se acabe el tiempo. Tus mejores tiempos están en las estadísticas.',
+    'page.tutorial.history': 'Haz clic en los números bajo la plantilla 2D para volver a ver las pistas de un ' +
+        'intento anterior. Con el número resaltado o ↩ vuelves a tu intento actual.',
+    'page.tutorial.assistant': '¿Te has atascado? Activa el asistente en los ajustes para ver cuántas piezas ' +
+        'encajan aún en cada hueco y colocar las piezas que las pistas dejan sin elección.',
+    'page.tutorial.accessibility': '¿Te cuesta distinguir los colores? En los ajustes hay colores aptos para ' +
+        'daltonismo, letras o formas en cada pegatina y líneas de pistas más marcadas.',
+    'page.tutorial.keyboard': 'También puedes jugar solo con el teclado: pulsa ? para ver todos los atajos, que ' +
+        'puedes cambiar. Los lectores de pantalla anuncian la pieza elegida y pueden leer las pistas de cada ' +
+        'intento como una tabla.',
+    'page.tutorial.undo': '¿Te has equivocado? Usa las flechas de abajo o Ctrl+Z y Ctrl+Mayús+Z para deshacer y ' +
+        'rehacer cambios. El historial empieza de nuevo con cada intento.',
+    'page.tutorial.unique': 'Cada pieza solo se puede usar una vez, así que tienes que borrar una pieza antes de ' +
+        'cambiar otra.',
+    'page.tutorial.saving': 'El juego se guarda solo tras cada intento y bloquea las piezas que están en su sitio ' +
+        'y bien orientadas, para que no pierdas tu progreso por error.',
+    'page.tutorial.share': 'El resultado que puedes compartir al terminar muestra las pistas de cada intento como ' +
+        'casillas verdes (correcta), amarillas (con barra) y blancas (tachada). Las dos filas de números de encima ' +
+        'indican en qué intento acertaste cada pieza, en este orden (primero aristas, luego esquinas):',
+    'page.tutorial.fixing': 'Arreglar un cubo irresoluble',
+    'page.tutorial.solvability': 'Igual que WORDLE exige palabras válidas, CUBLE exige mezclas resolubles. Un cubo ' +
+        'es resoluble si la paridad de orientación de las esquinas (CP), la de las aristas (EP) y la paridad de ' +
+        'permutación (PP) son todas cero. Si tu cubo no es resoluble, Cuble explica por qué y propone arreglos: ' +
+        'pasa el ratón por encima para ver las piezas afectadas y haz clic para aplicarlos.',
+    'page.tutorial.safeMoves': 'Para que el cubo siga siendo resoluble, lo mejor es limitarse a estos cambios:',
+    'page.tutorial.safeFlip': 'Voltear dos aristas',
+    'page.tutorial.safeTwist': 'Girar tres esquinas una vez',
+    'page.tutorial.safeTwistTwo': 'Girar una esquina dos veces y otra una vez',
+    'page.tutorial.safeCycle': 'Intercambiar tres piezas en ciclo manteniendo su orientación',
+    'page.tutorial.safeSwap': 'Intercambiar dos PARES de piezas manteniendo su orientación',
+    'page.tutorial.fixes': 'Aun así, arreglar un cubo irresoluble no es difícil:',
+    'page.tutorial.fixEdges': 'Si EP no es cero, voltea una arista cualquiera.',
+    'page.tutorial.fixCorners': 'Si CP no es cero, gira una o más esquinas hasta que sea cero.',
+    'page.tutorial.fixPermutation': 'Si PP no es cero, intercambia dos piezas cualesquiera.',
+    'page.tutorial.issues': 'Informa de un error o pide una función en las incidencias de GitHub.',
+    'page.tutorial.read': 'He leído las instrucciones y sé que puedo volver a verlas con el icono ℹ️ de arriba a la ' +
+        'derecha.',
+    'page.tutorial.play': 'JUGAR',
+    'page.moves': 'Movimientos',
+    'page.solution.back': 'Movimiento anterior',
+    'page.solution.play': 'Reproducir o pausar',
+    'page.solution.forward': 'Movimiento siguiente',
+    'page.solution.close': 'Cerrar la solución',
+    'page.assistant.fill': 'Colocar forzadas',
+    'page.pieceInput': 'Pieza, p. ej. UFR',
+    'page.erase': 'Borrar',
+    'page.rotate': 'Girar',
+    'page.undo': 'Deshacer',
+    'page.redo': 'Rehacer',
+    'page.notation': 'Escribir movimientos',
+    'page.submit': 'Enviar',
+};
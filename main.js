@@ -1,24 +1,52 @@
 import confetti from 'canvas-confetti';
 import seedrandom from 'seedrandom';
 import { registerSW } from 'virtual:pwa-register';
-import RubiksCubeSolver from './lib/solver.js';
+import Backup from './backup.js';
+import Challenge from './challenge.js';
+import { COLOR_NAMES, PALETTES, SCHEMES, getScheme, setPalette, setScheme } from './colors.js';
+import Creator from './creator.js';
 import Cube2D from './cube2d.js';
 import Cube3D from './cube3d.js';
+import Daily from './daily.js';
+import Deduction from './deduction.js';
+import Game from './game.js';
 import Graph from './graph.js';
+import GuessHistory from './guesshistory.js';
+import HotSeat from './hotseat.js';
+import I18n from './i18n.js';
+import KeyMap from './keymap.js';
+import Share from './share.js';
+import Stats from './stats.js';
+import Stickers from './stickers.js';
+import Storage from './storage.js';
+import Notation from './notation.js';
+import Timer from './timer.js';
+import Walkthrough from './walkthrough.js';
 
 // Game mode constants
 const GAME_MODES = {
     DAILY: 'daily',
-    TRAINER: 'trainer'
+    TRAINER: 'trainer',
+    ARCHIVE: 'archive',
+    CHALLENGE: 'challenge',
+    HOTSEAT: 'hotseat'
 };
 
+// Everything is kept in localStorage, upgraded to the current schema first
+const storage = Storage.local();
+storage.migrate();
+
+// Show everything in the language the player picked or the browser prefers
+I18n.setLocale(I18n.detect(storage.get('language'), navigator.languages || [navigator.language]));
+I18n.translatePage();
+
 // Game mode state management
-let currentGameMode = localStorage.getItem('gameMode') || GAME_MODES.DAILY;
+let currentGameMode = storage.get('gameMode') || GAME_MODES.DAILY;
 
 function setGameMode(mode) {
-    if (mode === GAME_MODES.DAILY || mode === GAME_MODES.TRAINER) {
+    if (Object.values(GAME_MODES).includes(mode)) {
         currentGameMode = mode;
-        localStorage.setItem('gameMode', mode);
+        storage.set('gameMode', mode);
         return true;
     }
     return false;
@@ -36,50 +64,216 @@ function isDailyMode() {
     return currentGameMode === GAME_MODES.DAILY;
 }
 
-const feedback = new Cube2D(document.getElementById('feedback'));
+function isArchiveMode() {
+    return currentGameMode === GAME_MODES.ARCHIVE;
+}
 
-// Generate cube state based on current mode
-function generateCubeState() {
-    const solver = new RubiksCubeSolver();
-    let rng;
+function isChallengeMode() {
+    return currentGameMode === GAME_MODES.CHALLENGE;
+}
 
-    if (isDailyMode()) {
-        // Use daily seed for consistent daily puzzle
-        const today = new Date().toDateString();
-        rng = seedrandom(today);
-    } else {
-        // Use timestamp-based seed for random trainer puzzles
-        const timestamp = Date.now();
-        rng = seedrandom(timestamp.toString());
-    }
-
-    do {
-        // Generate random permutation
-        const edgePermutation = shuffle([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], rng);
-        const cornerPermutation = shuffle([12, 13, 14, 15, 16, 17, 18, 19], rng);
-        const permutation = [...edgePermutation, ...cornerPermutation];
-        // Generate orientations
-        const orientation = [];
-        // Edges only have 2 orientations
-        for (let i = 0; i < 12; i++) {
-            orientation.push(Math.floor(rng() * 2));
-        }
-        // Corners can have 3 orientations
-        for (let i = 0; i < 8; i++) {
-            orientation.push(Math.floor(rng() * 3));
+function isHotSeatMode() {
+    return currentGameMode === GAME_MODES.HOTSEAT;
+}
+
+// Links from friends open their challenge, which is then kept like any other game
+let challengeLinkError = null;
+const challengeLink = Challenge.fromQuery(window.location.search);
+if (challengeLink !== null) {
+    try {
+        Challenge.decode(challengeLink);
+        storage.set('challenge', challengeLink);
+        setGameMode(GAME_MODES.CHALLENGE);
+    } catch (error) {
+        challengeLinkError = error.message;
+    }
+    // Switching modes reloads the page, which must not open the link again
+    history.replaceState(null, '', window.location.pathname);
+}
+
+// Hot-seat games only exist as part of their match
+const hotSeat = new HotSeat(storage.namespace('hotseat_'));
+if (isHotSeatMode() && !hotSeat.match) {
+    setGameMode(GAME_MODES.DAILY);
+}
+
+// The daily puzzle changes at midnight UTC, or at midnight in the time zone the player picked
+const daily = new Daily(parseInt(storage.get('dailyOffset')) || 0);
+// Fixed for the lifetime of the page so storage keys do not change when the daily puzzle does
+const todayNumber = daily.getNumber();
+
+// Difficulty of trainer puzzles, see Game.DIFFICULTIES
+function getTrainerDifficulty() {
+    const difficulty = storage.get('trainerDifficulty');
+    return Game.DIFFICULTIES[difficulty] ? difficulty : 'full';
+}
+
+// Challenge code of the trainer game being played. Every trainer game is kept in a namespace of its own.
+function getTrainerCode() {
+    let code = storage.get('trainerGame');
+    if (!code) {
+        code = Challenge.encode({ difficulty: getTrainerDifficulty(), seed: Challenge.createSeed() });
+        storage.set('trainerGame', code);
+    }
+    return code;
+}
+
+// Challenge code of the latest trainer game of a difficulty, or null if it has none
+function findTrainerGame(difficulty) {
+    for (const key of storage.keys()) {
+        const match = key.match(/^trainer_([A-Za-z0-9]+)-([A-Za-z0-9]+)_/);
+        if (match && match[1] === difficulty) {
+            return `${match[1]}-${match[2]}`;
         }
-        solver.currentState = [...permutation, ...orientation];
-    } while (!solver.verifyState());
+    }
+    return null;
+}
+
+// Number of the daily puzzle being played, either today's or one from the archive
+function getPuzzleNumber() {
+    return isArchiveMode() ? parseInt(storage.get('archivePuzzle')) : todayNumber;
+}
+
+// Namespace of the game being played. Every archived puzzle, every challenge and every hot-seat player is tracked
+// separately.
+function getGameStorage(mode = getCurrentGameMode(), number = getPuzzleNumber()) {
+    if (mode === GAME_MODES.CHALLENGE) {
+        return storage.namespace(`challenge_${storage.get('challenge')}_`);
+    }
+    if (mode === GAME_MODES.HOTSEAT) {
+        return hotSeat.getPlayerStorage(hotSeat.match.turn);
+    }
+    if (mode === GAME_MODES.TRAINER) {
+        return storage.namespace(`trainer_${getTrainerCode()}_`);
+    }
+    return storage.namespace(mode === GAME_MODES.ARCHIVE ? `archive_${number}_` : `${mode}_`);
+}
+const gameStorage = getGameStorage();
+
+// Puzzle of trainer, challenge and hot-seat games, see Challenge. Trainer games keep their code, so reloading the
+// page or sending a link gives the same cube.
+function getChallenge() {
+    if (isChallengeMode()) {
+        return Challenge.decode(storage.get('challenge'));
+    }
+    if (isHotSeatMode()) {
+        return hotSeat.match.challenge;
+    }
+    if (isTrainerMode()) {
+        return Challenge.decode(getTrainerCode());
+    }
+    return null;
+}
+const challenge = getChallenge();
+
+// Accessibility settings have to be in place before anything is drawn
+setScheme(storage.getJSON('colorScheme'));
+setPalette(storage.get('palette'));
+Stickers.overlay = Stickers.OVERLAYS.includes(storage.get('stickerOverlay')) ? storage.get('stickerOverlay') : 'none';
+Cube2D.feedbackStyle = Cube2D.FEEDBACK_STYLES.includes(storage.get('feedbackStyle')) ? storage.get('feedbackStyle') :
+    'classic';
 
-    return solver.currentState;
+const feedback = new Cube2D(document.getElementById('feedback'), document.getElementById('feedback-text'));
+
+// Generate cube state based on current mode
+function generateCubeState() {
+    if (challenge) {
+        return Challenge.getState(challenge);
+    }
+    // Use daily seed for consistent daily puzzle
+    return Game.generateState(seedrandom(Daily.getSeed(getPuzzleNumber())));
 }
 
 const answerState = generateCubeState();
-const answerColors = stateToFaceletColors(answerState);
 const cube = new Cube3D(answerState);
+cube.storage = gameStorage;
+if (challenge) {
+    // Pieces the difficulty leaves solved cannot be edited
+    cube.locks = Challenge.getLocks(challenge);
+}
+
+// Set up the post-game solution walkthrough
+const walkthrough = new Walkthrough(cube, answerState);
+// Challenge results name their challenge, so friends can compare them, see Challenge.parseResult
+function getShareTitle() {
+    if (isChallengeMode()) {
+        return storage.get('challenge');
+    }
+    return isTrainerMode() ? new Date().toISOString().substring(0, 10) : `#${getPuzzleNumber()}`;
+}
+
+function createShareButton(won) {
+    const share = document.createElement('button');
+    share.innerText = I18n.t('game.share');
+    share.classList.add('action');
+    share.style.flex = '1';
+    share.onclick = () => {
+        const text = Share.getText({
+            title: getShareTitle(),
+            mode: I18n.t(`mode.name.${getCurrentGameMode()}`),
+            guesses: game.guesses,
+            maxGuesses: game.maxGuesses,
+            hardMode: game.hardMode,
+            won,
+            time: timer.isEnabled() ? timer.getElapsed() : null,
+            score: game.score,
+            feedback: game.history.map(state => state && game.getGuessFeedback(state).feedback.join('')),
+        });
+        const copy = () => navigator.clipboard.writeText(text).then(
+            () => share.innerText = I18n.t('game.copied'),
+            () => share.innerText = I18n.t('game.copyFailed'),
+        );
+        if (navigator.share) {
+            // Fall back to the clipboard unless the player dismissed the share sheet
+            navigator.share({ text }).catch(error => error.name === 'AbortError' || copy());
+        } else {
+            copy();
+        }
+    };
+    return share;
+}
+
+function createCompareButton() {
+    const button = document.createElement('button');
+    button.innerText = I18n.t('challenge.compare');
+    button.classList.add('action');
+    button.style.flex = '1';
+    button.onclick = () => openChallenge();
+    return button;
+}
+
+// Buttons that replace the actions once the game is over
+function createResultButtons(won) {
+    if (isHotSeatMode()) {
+        // The solution would give the cube away to the players still guessing
+        return hotSeat.isOver() ? [createHotSeatButton(), createSolutionButton()] : [createHotSeatButton()];
+    }
+    const buttons = [createShareButton(won), createSolutionButton()];
+    if (isChallengeMode()) {
+        buttons.push(createCompareButton());
+    }
+    return buttons;
+}
 
-// Create global solver instance for state verification
-const solver = new RubiksCubeSolver();
+// Hands the cube to the next player, or shows the scoreboard once everyone is done
+function createHotSeatButton() {
+    const button = document.createElement('button');
+    button.innerText = hotSeat.isOver() ? I18n.t('hotseat.scoreboard') :
+        I18n.t('hotseat.next', { name: hotSeat.getPlayer() });
+    button.classList.add('action');
+    button.style.flex = '1';
+    button.onclick = () => hotSeat.isOver() ? openHotSeat() : window.location.reload();
+    return button;
+}
+
+function createSolutionButton() {
+    const button = document.createElement('button');
+    button.innerText = I18n.t('game.solution');
+    button.classList.add('action');
+    button.style.flex = '1';
+    button.onclick = () => walkthrough.open();
+    return button;
+}
 
 function toggleVisible(id) {
     const element = document.getElementById(id);
@@ -90,27 +284,61 @@ function toggleVisible(id) {
     }
 }
 // Set up statistics
-let stats = JSON.parse(localStorage.getItem('stats'));
-if (stats === null) {
-    stats = Array(7).fill(0);
-} else if (stats.length === 22) {
-    // Migrate from old 22-element format to new 7-element format
-    const newStats = Array(7).fill(0);
-    // Map guesses 1-6 to indices 0-5, and 7+ to index 6
-    for (let i = 0; i < Math.min(6, stats.length); i++) {
-        newStats[i] = stats[i];
-    }
-    // Sum all guesses 7 and above into the 6+ category
-    for (let i = 6; i < stats.length; i++) {
-        newStats[6] += stats[i];
-    }
-    stats = newStats;
-    localStorage.setItem('stats', JSON.stringify(stats));
-}
+const stats = new Stats(storage);
 const graph = new Graph(document.getElementById('graph'));
+const progressGraph = new Graph(document.getElementById('progress-graph'));
+const statsMode = document.getElementById('stats-mode');
+
+function renderStats() {
+    const mode = statsMode.value || null;
+    const { played, winRate } = stats.getSummary(mode);
+    const { current, max } = stats.getStreaks(todayNumber);
+    document.getElementById('stats-played').innerText = played;
+    document.getElementById('stats-win-rate').innerText = winRate;
+    document.getElementById('stats-current-streak').innerText = current;
+    document.getElementById('stats-max-streak').innerText = max;
+    graph.update(stats.getDistribution(mode), game.maxGuesses);
+    progressGraph.drawCurve(stats.getProgressCurve(mode), 54);
+}
+statsMode.onchange = renderStats;
+
+// Set up the leaderboard of the fastest timed games
+const leaderboardDifficulty = document.getElementById('leaderboard-difficulty');
+for (const id of Object.keys(Game.DIFFICULTIES)) {
+    const option = leaderboardDifficulty.appendChild(document.createElement('option'));
+    option.value = id;
+    option.innerText = I18n.t(`difficulty.${id}`);
+}
+function renderLeaderboard() {
+    const table = document.getElementById('leaderboard');
+    table.replaceChildren();
+    const games = stats.getBestTimes(leaderboardDifficulty.value, 10);
+    document.getElementById('leaderboard-empty').style.display = games.length ? 'none' : 'block';
+    if (!games.length) return;
+    const header = table.insertRow();
+    for (const key of ['stats.rank', 'stats.time', 'stats.guesses', 'stats.date', 'stats.splits']) {
+        header.appendChild(document.createElement('th')).innerText = I18n.t(key);
+    }
+    games.forEach((entry, i) => {
+        const row = table.insertRow();
+        row.insertCell().innerText = i + 1;
+        row.insertCell().innerText = Timer.format(entry.time);
+        row.insertCell().innerText = `${entry.guesses}/${entry.maxGuesses}${entry.hardMode ? '*' : ''}`;
+        row.insertCell().innerText = new Date(entry.date).toLocaleDateString(I18n.locale);
+        // Time taken by every guess, the free guess is made when the clock starts
+        const splits = (entry.splits || []).map((split, guess) => typeof split === 'number' ?
+            Timer.format(split - (entry.splits[guess - 1] || 0)) : null).filter(split => split);
+        row.insertCell().innerText = splits.join(' · ');
+    });
+}
+leaderboardDifficulty.onchange = renderLeaderboard;
+
 document.getElementById('open-stats').onclick = () => {
     toggleVisible('stats-container');
-    graph.update(stats);
+    statsMode.value = getCurrentGameMode();
+    renderStats();
+    leaderboardDifficulty.value = challenge && challenge.difficulty ? challenge.difficulty : 'full';
+    renderLeaderboard();
 
     // Show/hide countdown timer based on mode
     const countdownTimer = document.getElementById('countdown-timer');
@@ -123,12 +351,8 @@ document.getElementById('open-stats').onclick = () => {
 document.getElementById('close-stats').onclick = () => toggleVisible('stats-container');
 
 // Set up countdown timer
-const midnight = new Date(new Date().getTime() + 24 * 60 * 60 * 1000);
-midnight.setHours(0);
-midnight.setMinutes(0);
-midnight.setSeconds(0);
 function updateClock() {
-    const msLeft = Date.parse(midnight) - Date.parse(new Date());
+    const msLeft = Math.max(daily.getNextRollover() - new Date(), 0);
     const secondsLeft = Math.floor((msLeft / 1000) % 60);
     const minutesLeft = Math.floor((msLeft / 1000 / 60) % 60);
     const hoursLeft = Math.floor((msLeft / (1000 * 60 * 60)) % 24);
@@ -139,6 +363,40 @@ function updateClock() {
 updateClock();
 setInterval(updateClock, 1000);
 
+const dailyOffset = document.getElementById('daily-offset');
+for (const offset of Daily.OFFSETS) {
+    const option = dailyOffset.appendChild(document.createElement('option'));
+    option.value = offset;
+    const minutes = Math.abs(offset) % 60;
+    option.innerText = `UTC${offset < 0 ? '−' : '+'}${Math.floor(Math.abs(offset) / 60)}` +
+        (minutes ? `:${minutes}` : '');
+}
+dailyOffset.value = daily.offset;
+dailyOffset.onchange = () => {
+    storage.set('dailyOffset', dailyOffset.value);
+    window.location.reload();
+};
+
+// Whether reloading the page would throw away an unsubmitted guess or something the player is looking at
+function isBusy() {
+    const modalOpen = [...document.querySelectorAll('.container')].some(modal => modal.style.display !== 'none');
+    const latest = game.history[game.history.length - 1] || [];
+    const edited = [...cube.permutation, ...cube.orientation].toString() !== latest.toString();
+    return modalOpen || edited || guessHistory.viewing !== null || walkthrough.panel.style.display === 'block';
+}
+
+// Load the new daily puzzle as soon as it is out, or let the player switch once they are done
+daily.start(() => {
+    if (!isDailyMode()) return;
+    if (!isBusy()) {
+        window.location.reload();
+        return;
+    }
+    document.getElementById('load-daily').style.display = 'inline-block';
+    cube.announce(I18n.t('daily.available'));
+});
+document.getElementById('load-daily').onclick = () => window.location.reload();
+
 // Replace feather icons once DOM is ready
 if (window.feather && typeof window.feather.replace === 'function') {
     window.feather.replace();
@@ -149,14 +407,29 @@ function updateModeIndicator() {
     const modeText = document.getElementById('mode-text');
     const modeToggle = document.getElementById('mode-toggle');
     const newGameButton = document.getElementById('new-game');
+    const difficulty = document.getElementById('difficulty');
+    difficulty.style.display = isTrainerMode() ? 'inline-block' : 'none';
 
     if (isDailyMode()) {
-        modeText.textContent = 'DAILY MODE';
-        modeToggle.textContent = 'Trainer Mode';
+        modeText.textContent = I18n.t('mode.daily', { number: getPuzzleNumber() });
+        modeToggle.textContent = I18n.t('mode.toTrainer');
+        newGameButton.style.display = 'none';
+    } else if (isArchiveMode()) {
+        modeText.textContent = I18n.t('mode.archive', { number: getPuzzleNumber() });
+        modeToggle.textContent = I18n.t('mode.toDaily');
+        newGameButton.style.display = 'none';
+    } else if (isChallengeMode()) {
+        const name = challenge.state ? I18n.t('challenge.custom') : I18n.t(`difficulty.${challenge.difficulty}`);
+        modeText.textContent = I18n.t('mode.challenge', { name });
+        modeToggle.textContent = I18n.t('mode.toDaily');
+        newGameButton.style.display = 'none';
+    } else if (isHotSeatMode()) {
+        modeText.textContent = I18n.t('mode.hotseat', { name: hotSeat.getPlayer() });
+        modeToggle.textContent = I18n.t('mode.toDaily');
         newGameButton.style.display = 'none';
     } else {
-        modeText.textContent = 'TRAINER MODE';
-        modeToggle.textContent = 'Daily Mode';
+        modeText.textContent = I18n.t('mode.trainer');
+        modeToggle.textContent = I18n.t('mode.toDaily');
         newGameButton.style.display = 'inline-block';
     }
 }
@@ -170,32 +443,479 @@ function switchGameMode() {
 
 function startNewTrainerGame() {
     if (isTrainerMode()) {
-        // Clear trainer game state
-        localStorage.removeItem(getStorageKey('guesses'));
-        localStorage.removeItem(getStorageKey('score'));
-        localStorage.removeItem(getStorageKey('complete'));
+        // Clear trainer game state, a new code is picked when the page loads
+        gameStorage.clear();
+        storage.remove('trainerGame');
 
         // Reload to start fresh
         window.location.reload();
     }
 }
 
+// Set up the archive of past daily puzzles, which shows one month at a time
+let archiveMonth = null;
+function renderArchive() {
+    const results = storage.getJSON('dailyResults') || {};
+    const [year, month] = [Math.floor(archiveMonth / 12), archiveMonth % 12];
+    const first = Math.max(Daily.getNumberOnDate(year, month, 1), 1);
+    const last = Math.min(Daily.getNumberOnDate(year, month + 1, 1) - 1, todayNumber - 1);
+    document.getElementById('archive-month').innerText =
+        new Date(year, month).toLocaleDateString(I18n.locale, { year: 'numeric', month: 'long' });
+    document.getElementById('previous-month').disabled = first <= 1;
+    document.getElementById('next-month').disabled = last >= todayNumber - 1;
+    const list = document.getElementById('archive-list');
+    list.replaceChildren();
+    for (let number = last; number >= first; number--) {
+        const button = list.appendChild(document.createElement('button'));
+        const date = Daily.getDate(number).toLocaleDateString(I18n.locale, { dateStyle: 'medium' });
+        let status = '';
+        if (results[number]) {
+            status = `✅ ${results[number]}`;
+        } else if (parseInt(getGameStorage(GAME_MODES.ARCHIVE, number).get('guesses')) > 0) {
+            status = '⏳';
+        }
+        button.innerText = `#${number} ${date} ${status}`;
+        button.classList.toggle('active', isArchiveMode() && number === getPuzzleNumber());
+        button.onclick = () => {
+            storage.set('archivePuzzle', number);
+            setGameMode(GAME_MODES.ARCHIVE);
+            window.location.reload();
+        };
+    }
+}
+document.getElementById('previous-month').onclick = () => {
+    archiveMonth--;
+    renderArchive();
+};
+document.getElementById('next-month').onclick = () => {
+    archiveMonth++;
+    renderArchive();
+};
+document.getElementById('open-archive').onclick = () => {
+    // Start at the month of the puzzle being played, or the month of yesterday's puzzle
+    const date = Daily.getDate(isArchiveMode() ? getPuzzleNumber() : Math.max(todayNumber - 1, 1));
+    archiveMonth = date.getFullYear() * 12 + date.getMonth();
+    renderArchive();
+    toggleVisible('archive-container');
+};
+document.getElementById('close-archive').onclick = () => toggleVisible('archive-container');
+
+// Set up challenges, where friends race each other on the same cube
+const challengeStatus = document.getElementById('challenge-status');
+const rivalResult = document.getElementById('rival-result');
+function renderComparison() {
+    const table = document.getElementById('challenge-table');
+    table.replaceChildren();
+    challengeStatus.innerText = '';
+    rivalResult.classList.remove('invalid');
+    if (!rivalResult.value.trim()) return;
+    let rival;
+    try {
+        rival = Challenge.parseResult(rivalResult.value, storage.get('challenge'));
+    } catch (error) {
+        rivalResult.classList.add('invalid');
+        challengeStatus.innerText = error.message;
+        return;
+    }
+    const you = {
+        won: Boolean(gameStorage.get('complete')),
+        guesses: game.guesses,
+        maxGuesses: game.maxGuesses,
+        hardMode: game.hardMode,
+        time: timer.isEnabled() ? timer.getElapsed() : null,
+        // The free guess is left out of shared results
+        stickers: game.getProgress().slice(1).map(({ stickers }) => stickers),
+    };
+    const header = table.insertRow();
+    for (const text of [I18n.t('challenge.guess'), I18n.t('challenge.you'), I18n.t('challenge.friend')]) {
+        header.appendChild(document.createElement('th')).innerText = text;
+    }
+    for (let i = 0; i < Math.max(you.stickers.length, rival.stickers.length); i++) {
+        const row = table.insertRow();
+        row.insertCell().innerText = i + 1;
+        for (const { stickers } of [you, rival]) {
+            row.insertCell().innerText = i < stickers.length ? `${stickers[i]}/54` : '';
+        }
+    }
+    const row = table.insertRow();
+    row.insertCell().innerText = I18n.t('challenge.result');
+    for (const { won, guesses, maxGuesses, hardMode } of [you, rival]) {
+        row.insertCell().innerText = `${won ? guesses : 'X'}/${maxGuesses}${hardMode ? '*' : ''}`;
+    }
+    if (you.time !== null || rival.time !== null) {
+        const timeRow = table.insertRow();
+        timeRow.insertCell().innerText = I18n.t('challenge.time');
+        for (const { time } of [you, rival]) {
+            timeRow.insertCell().innerText = time === null ? '' : Timer.format(time);
+        }
+    }
+    // Winning beats losing and fewer guesses beat more, then the faster time wins, two losses are a tie
+    const score = ({ won, guesses }) => won ? guesses : Infinity;
+    const timed = you.won && rival.won && you.time !== null && rival.time !== null;
+    if (score(you) === score(rival) && timed && you.time !== rival.time) {
+        challengeStatus.innerText = I18n.t(you.time < rival.time ? 'challenge.youWin' : 'challenge.friendWins');
+    } else if (score(you) === score(rival)) {
+        challengeStatus.innerText = I18n.t('challenge.tie');
+    } else {
+        challengeStatus.innerText = I18n.t(score(you) < score(rival) ? 'challenge.youWin' : 'challenge.friendWins');
+    }
+}
+rivalResult.oninput = () => {
+    gameStorage.set('rival', rivalResult.value);
+    renderComparison();
+};
+
+function openChallenge() {
+    // Only trainer and challenge cubes can be sent, everyone already gets the same daily cube
+    document.getElementById('challenge-share').style.display = challenge ? 'block' : 'none';
+    const finished = isChallengeMode() && (game.isOver() || Boolean(gameStorage.get('complete')));
+    document.getElementById('challenge-compare').style.display = finished ? 'block' : 'none';
+    if (finished) {
+        rivalResult.value = gameStorage.get('rival') || '';
+        renderComparison();
+    }
+    toggleVisible('challenge-container');
+}
+document.getElementById('open-challenge').onclick = openChallenge;
+document.getElementById('close-challenge').onclick = () => toggleVisible('challenge-container');
+
+document.getElementById('copy-challenge').onclick = () => {
+    const button = document.getElementById('copy-challenge');
+    const link = Challenge.getLink(challenge, window.location.origin + window.location.pathname);
+    navigator.clipboard.writeText(link).then(
+        () => button.innerText = I18n.t('challenge.copied'),
+        () => button.innerText = I18n.t('game.copyFailed'),
+    );
+};
+
+const challengeSeed = document.getElementById('challenge-seed');
+document.getElementById('play-seed').onclick = () => {
+    if (!Challenge.SEED.test(challengeSeed.value)) {
+        challengeSeed.classList.add('invalid');
+        challengeStatus.innerText = I18n.t('challenge.badSeed');
+        return;
+    }
+    storage.set('challenge', Challenge.encode({ difficulty: getTrainerDifficulty(), seed: challengeSeed.value }));
+    setGameMode(GAME_MODES.CHALLENGE);
+    window.location.reload();
+};
+challengeSeed.oninput = () => challengeSeed.classList.remove('invalid');
+
+// Set up the puzzle creator, whose puzzles are played as challenges
+const creatorInput = document.getElementById('creator-input');
+const playCreator = document.getElementById('play-creator');
+const copyCreator = document.getElementById('copy-creator');
+const copyCreatorText = copyCreator.innerText;
+let createdState = null;
+creatorInput.oninput = () => {
+    const status = document.getElementById('creator-status');
+    createdState = null;
+    status.innerText = '';
+    if (creatorInput.value.trim()) {
+        try {
+            createdState = Creator.parse(creatorInput.value);
+        } catch (error) {
+            status.innerText = error.message;
+        }
+    }
+    creatorInput.classList.toggle('invalid', status.innerText !== '');
+    playCreator.disabled = createdState === null;
+    copyCreator.disabled = createdState === null;
+    copyCreator.innerText = copyCreatorText;
+};
+playCreator.onclick = () => {
+    storage.set('challenge', Challenge.encode({ state: createdState }));
+    setGameMode(GAME_MODES.CHALLENGE);
+    window.location.reload();
+};
+copyCreator.onclick = () => {
+    const link = Challenge.getLink({ state: createdState }, window.location.origin + window.location.pathname);
+    navigator.clipboard.writeText(link).then(
+        () => copyCreator.innerText = I18n.t('challenge.copied'),
+        () => copyCreator.innerText = I18n.t('game.copyFailed'),
+    );
+};
+
+// Set up hot-seat matches, where players take turns guessing the same cube on this device
+const hotSeatPlayers = document.getElementById('hotseat-players');
+for (let count = HotSeat.MIN_PLAYERS; count <= HotSeat.MAX_PLAYERS; count++) {
+    const option = hotSeatPlayers.appendChild(document.createElement('option'));
+    option.value = count;
+    option.innerText = count;
+}
+const hotSeatNames = [];
+for (let i = 0; i < HotSeat.MAX_PLAYERS; i++) {
+    const input = document.getElementById('hotseat-names').appendChild(document.createElement('input'));
+    input.type = 'text';
+    input.maxLength = 20;
+    input.autocomplete = 'off';
+    input.placeholder = I18n.t('hotseat.player', { number: i + 1 });
+    input.setAttribute('aria-label', input.placeholder);
+    hotSeatNames.push(input);
+}
+// The same friends usually play again
+if (hotSeat.match) {
+    hotSeatPlayers.value = hotSeat.match.players.length;
+    hotSeat.match.players.forEach((name, i) => hotSeatNames[i].value = name);
+}
+function showNameInputs() {
+    hotSeatNames.forEach((input, i) => input.style.display = i < hotSeatPlayers.value ? 'block' : 'none');
+}
+hotSeatPlayers.onchange = showNameInputs;
+
+function renderScoreboard() {
+    const table = document.getElementById('hotseat-table');
+    table.replaceChildren();
+    const header = table.insertRow();
+    for (const key of ['hotseat.rank', 'hotseat.name', 'hotseat.guesses', 'hotseat.stickers', 'hotseat.status']) {
+        header.appendChild(document.createElement('th')).innerText = I18n.t(key);
+    }
+    const scoreboard = hotSeat.getScoreboard();
+    for (const { rank, name, guesses, stickers, won, over } of scoreboard) {
+        const row = table.insertRow();
+        row.insertCell().innerText = rank;
+        row.insertCell().innerText = name;
+        row.insertCell().innerText = guesses;
+        row.insertCell().innerText = `${stickers}/54`;
+        row.insertCell().innerText = I18n.t(won ? 'hotseat.solved' : over ? 'hotseat.out' : 'hotseat.playing');
+    }
+    const status = document.getElementById('hotseat-status');
+    const winners = scoreboard.filter(({ rank }) => rank === 1);
+    if (!hotSeat.isOver()) {
+        status.innerText = I18n.t('hotseat.turn', { name: hotSeat.getPlayer() });
+    } else if (winners.length > 1) {
+        status.innerText = I18n.t('hotseat.tie');
+    } else {
+        status.innerText = I18n.t('hotseat.wins', { name: winners[0].name });
+    }
+}
+
+function openHotSeat() {
+    document.getElementById('hotseat-standings').style.display = hotSeat.match ? 'block' : 'none';
+    if (hotSeat.match) {
+        renderScoreboard();
+    }
+    // A match left for another mode can be picked up again
+    const resumable = hotSeat.match && !isHotSeatMode() && !hotSeat.isOver();
+    document.getElementById('resume-hotseat').style.display = resumable ? 'inline-block' : 'none';
+    showNameInputs();
+    toggleVisible('hotseat-container');
+}
+document.getElementById('open-hotseat').onclick = openHotSeat;
+document.getElementById('close-hotseat').onclick = () => toggleVisible('hotseat-container');
+document.getElementById('resume-hotseat').onclick = () => {
+    setGameMode(GAME_MODES.HOTSEAT);
+    window.location.reload();
+};
+document.getElementById('start-hotseat').onclick = () => {
+    const players = hotSeatNames.slice(0, hotSeatPlayers.value).map(input => input.value.trim() || input.placeholder);
+    const rules = getRuleSettings();
+    hotSeat.start(players, { difficulty: getTrainerDifficulty(), seed: Challenge.createSeed() },
+        { maxGuesses: rules.maxGuesses, hardMode: rules.hardMode });
+    setGameMode(GAME_MODES.HOTSEAT);
+    window.location.reload();
+};
+document.getElementById('start-turn').onclick = () => toggleVisible('turn-container');
+
+const difficulty = document.getElementById('difficulty');
+for (const id of Object.keys(Game.DIFFICULTIES)) {
+    const option = difficulty.appendChild(document.createElement('option'));
+    option.value = id;
+    option.innerText = I18n.t(`difficulty.${id}`);
+}
+difficulty.value = getTrainerDifficulty();
+difficulty.onchange = () => {
+    storage.set('trainerDifficulty', difficulty.value);
+    // Every difficulty keeps its game, so switching back picks it up where it was left
+    const code = findTrainerGame(difficulty.value);
+    if (code) {
+        storage.set('trainerGame', code);
+    } else {
+        storage.remove('trainerGame');
+    }
+    window.location.reload();
+};
+
 document.getElementById('mode-toggle').onclick = switchGameMode;
 document.getElementById('new-game').onclick = startNewTrainerGame;
 updateModeIndicator();
 
+// Set up settings
+function getRuleSettings() {
+    return {
+        maxGuesses: parseInt(storage.get('maxGuesses')) || Game.MAX_GUESSES,
+        hardMode: storage.get('hardMode') === 'true',
+        clock: Timer.MODES.includes(storage.get('clock')) ? storage.get('clock') : 'off',
+        timeLimit: parseInt(storage.get('timeLimit')) || 5,
+    };
+}
+
+const maxGuesses = document.getElementById('max-guesses');
+for (const limit of [3, 4, 5, 6, 7, 8, 10, 12, 15, 20]) {
+    const option = maxGuesses.appendChild(document.createElement('option'));
+    option.value = limit;
+    option.innerText = limit;
+}
+const hardMode = document.getElementById('hard-mode');
+const clockSetting = document.getElementById('clock-setting');
+for (const mode of Timer.MODES) {
+    const option = clockSetting.appendChild(document.createElement('option'));
+    option.value = mode;
+    option.innerText = I18n.t(`clock.${mode}`);
+}
+const timeLimit = document.getElementById('time-limit');
+for (const minutes of Timer.LIMITS) {
+    const option = timeLimit.appendChild(document.createElement('option'));
+    option.value = minutes;
+    option.innerText = I18n.t('clock.minutes', { count: minutes });
+}
+const assistant = document.getElementById('assistant-setting');
+assistant.checked = storage.get('assistant') === 'true';
+assistant.onchange = () => {
+    storage.set('assistant', assistant.checked);
+    updateAssistant();
+};
+function updateRuleSettings() {
+    storage.set('maxGuesses', maxGuesses.value);
+    storage.set('hardMode', hardMode.checked);
+    storage.set('clock', clockSetting.value);
+    storage.set('timeLimit', timeLimit.value);
+    timeLimit.style.display = clockSetting.value === 'blitz' ? 'inline-block' : 'none';
+    // The current game picks up the new rules as long as it has no real guesses yet. The games of a hot-seat match
+    // keep the rules the match was started with.
+    if (game.history.length <= 1 && !isHotSeatMode()) {
+        const rules = getRuleSettings();
+        game.maxGuesses = rules.maxGuesses;
+        game.hardMode = rules.hardMode;
+        // The clock starts over with the new rules
+        timer.setRules(rules);
+        timer.reset();
+        if (timer.isEnabled()) {
+            timer.start();
+        }
+        gameStorage.setJSON('rules', rules);
+        updateTimer();
+    }
+}
+maxGuesses.onchange = updateRuleSettings;
+hardMode.onchange = updateRuleSettings;
+clockSetting.onchange = updateRuleSettings;
+timeLimit.onchange = updateRuleSettings;
+document.getElementById('open-settings').onclick = () => {
+    const rules = getRuleSettings();
+    maxGuesses.value = rules.maxGuesses;
+    hardMode.checked = rules.hardMode;
+    clockSetting.value = rules.clock;
+    timeLimit.value = rules.timeLimit;
+    timeLimit.style.display = rules.clock === 'blitz' ? 'inline-block' : 'none';
+    toggleVisible('settings-container');
+};
+// Colors and text are drawn once when the page loads, so changing how they look reloads it
+for (const [id, key, prefix, options, value] of [
+    ['palette', 'palette', 'palette', Object.keys(PALETTES),
+        PALETTES[storage.get('palette')] ? storage.get('palette') : 'classic'],
+    ['sticker-overlay', 'stickerOverlay', 'overlay', Stickers.OVERLAYS, Stickers.overlay],
+    ['feedback-style', 'feedbackStyle', 'feedbackStyle', Cube2D.FEEDBACK_STYLES, Cube2D.feedbackStyle],
+    ['language', 'language', null, Object.keys(I18n.LOCALES), I18n.locale],
+]) {
+    const select = document.getElementById(id);
+    for (const option of options) {
+        const element = select.appendChild(document.createElement('option'));
+        element.value = option;
+        // Languages are always listed by their own name
+        element.innerText = prefix ? I18n.t(`${prefix}.${option}`) : I18n.LOCALES[option];
+    }
+    select.value = value;
+    select.onchange = () => {
+        storage.set(key, select.value);
+        window.location.reload();
+    };
+}
+document.getElementById('close-settings').onclick = () => toggleVisible('settings-container');
+
+// Set up the color scheme, which also needs a reload to repaint everything
+function setColorScheme(scheme) {
+    storage.setJSON('colorScheme', scheme);
+    window.location.reload();
+}
+const schemePreset = document.getElementById('scheme-preset');
+for (const key of [...Object.keys(SCHEMES), 'custom']) {
+    const option = schemePreset.appendChild(document.createElement('option'));
+    option.value = key;
+    option.innerText = I18n.t(`scheme.${key}`);
+}
+schemePreset.value = Object.keys(SCHEMES).find(key =>
+    [...'URFDLB'].every(face => SCHEMES[key][face] === getScheme()[face])) || 'custom';
+schemePreset.onchange = () => {
+    if (SCHEMES[schemePreset.value]) {
+        setColorScheme(SCHEMES[schemePreset.value]);
+    }
+};
+for (const face of 'UFRDLB') {
+    const row = document.getElementById('scheme-faces').insertRow();
+    row.insertCell().innerText = I18n.t(`schemeFace.${face}`);
+    const select = row.insertCell().appendChild(document.createElement('select'));
+    for (const color of COLOR_NAMES) {
+        const option = select.appendChild(document.createElement('option'));
+        option.value = color;
+        option.innerText = I18n.t(`color.${color}`);
+    }
+    select.value = getScheme()[face];
+    select.onchange = () => {
+        // Every color is used exactly once, so the face that had the color gets this face's old color
+        const scheme = getScheme();
+        const other = Object.keys(scheme).find(key => scheme[key] === select.value);
+        scheme[other] = scheme[face];
+        scheme[face] = select.value;
+        setColorScheme(scheme);
+    };
+}
+
+// Set up export and import of progress
+document.getElementById('export-progress').onclick = () => {
+    const file = new Blob([JSON.stringify(Backup.export(storage), null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(file);
+    link.download = `cuble-${new Date().toISOString().substring(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+};
+const importFile = document.getElementById('import-file');
+document.getElementById('import-progress').onclick = () => importFile.click();
+importFile.onchange = async () => {
+    const status = document.getElementById('backup-status');
+    try {
+        let backup;
+        try {
+            backup = JSON.parse(await importFile.files[0].text());
+        } catch {
+            throw new Error(I18n.t('backup.unreadable'));
+        }
+        Backup.import(storage, backup);
+        window.location.reload();
+    } catch (error) {
+        status.innerText = error.message;
+        status.style.color = 'red';
+    }
+    importFile.value = '';
+};
+
 // Set up tutorial
 const example = new Cube2D(document.getElementById('example'));
 example.drawFace(0, 0, 'ULDRUFUBU', '.XXX.//XX');
+// The explanation of the example names the colors of the current scheme
+for (const span of document.getElementsByClassName('color-name')) {
+    span.innerText = I18n.t(`color.${getScheme()[span.dataset.face]}`);
+}
 document.getElementById('open-tutorial').onclick = () => toggleVisible('tutorial-container');
 document.getElementById('read-tutorial').onchange = () => {
     document.getElementById('close-tutorial').disabled = !document.getElementById('read-tutorial').checked;
 };
 document.getElementById('close-tutorial').onclick = () => {
     toggleVisible('tutorial-container');
-    localStorage.setItem('tutorialComplete', true);
+    storage.set('tutorialComplete', true);
 };
-if (!localStorage.getItem('tutorialComplete')) {
+if (!storage.get('tutorialComplete')) {
     toggleVisible('tutorial-container');
 } else {
     document.getElementById('read-tutorial').checked = true;
@@ -207,92 +927,365 @@ const guess = document.getElementById('guess');
 guess.onclick = check;
 guess.addEventListener('animationend', () => guess.classList.remove('shake'));
 
-// Load state from storage based on mode
-function getStorageKey(key) {
-    const prefix = isDailyMode() ? 'daily_' : 'trainer_';
-    return prefix + key;
+// Set up guessing by typing a move sequence instead of painting pieces
+const notationInput = document.getElementById('moves');
+function setNotationMode(enabled) {
+    document.getElementById('notation-input').style.display = enabled ? 'block' : 'none';
+    document.getElementById('notation').classList.toggle('active', enabled);
+    document.getElementById('picker').replaceChildren();
+    cube.selection.visible = false;
+    cube.readOnly = enabled;
+    if (enabled) {
+        // Typing replaces the whole guess, which can be undone afterwards
+        cube.recordEdit();
+        cube.showFixes([]);
+        document.getElementById('erase').disabled = true;
+        document.getElementById('rotate').disabled = true;
+        previewNotation();
+        notationInput.focus();
+    } else {
+        guess.disabled = false;
+        cube.updateParity();
+    }
 }
 
-// Make getStorageKey available globally for Cube3D
-window.getStorageKey = getStorageKey;
+function previewNotation() {
+    const parity = document.getElementById('parity');
+    try {
+        const moves = Notation.parse(notationInput.value);
+        cube.setState(Notation.apply(moves, [...Cube3D.SOLVED_STATE]));
+        notationInput.classList.remove('invalid');
+        parity.innerText = I18n.t('notation.moves', { count: moves.length });
+        parity.style.color = 'white';
+        guess.disabled = false;
+    } catch (error) {
+        notationInput.classList.add('invalid');
+        parity.innerText = error.message;
+        parity.style.color = 'red';
+        guess.disabled = true;
+    }
+}
+
+notationInput.oninput = previewNotation;
+notationInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && !guess.disabled) check();
+});
+document.getElementById('notation').onclick = () =>
+    setNotationMode(document.getElementById('notation-input').style.display === 'none');
 
+// Load state from storage based on mode
 if (isDailyMode()) {
-    // Daily mode: check if it's a new day
-    const today = new Date().toDateString();
-    if (localStorage.getItem('today') !== today) {
-        localStorage.setItem('today', today);
-        localStorage.setItem(getStorageKey('guesses'), -1);
-        localStorage.setItem(getStorageKey('score'), JSON.stringify(Array(20).fill(-1)));
-        localStorage.removeItem(getStorageKey('complete'));
+    // Daily mode: check if it's a new day. Older versions stored the date string the puzzle was seeded with.
+    const savedToday = storage.get('today');
+    if (savedToday !== String(todayNumber) && savedToday !== Daily.getSeed(todayNumber)) {
+        // Keep an unfinished daily so it can still be finished from the archive
+        const previous = parseInt(savedToday);
+        if (previous && !gameStorage.get('complete') &&
+            parseInt(gameStorage.get('guesses')) > 0) {
+            const archive = getGameStorage(GAME_MODES.ARCHIVE, previous);
+            for (const key of gameStorage.keys()) {
+                archive.set(key, gameStorage.get(key));
+            }
+        }
+        storage.set('today', todayNumber);
+        gameStorage.clear();
+        gameStorage.set('guesses', -1);
+        gameStorage.setJSON('score', Array(20).fill(-1));
         cube.save();
     } else {
         cube.load();
     }
 } else {
-    // Trainer mode: always start fresh unless continuing current game
-    if (!localStorage.getItem(getStorageKey('guesses'))) {
-        localStorage.setItem(getStorageKey('guesses'), -1);
-        localStorage.setItem(getStorageKey('score'), JSON.stringify(Array(20).fill(-1)));
-        localStorage.removeItem(getStorageKey('complete'));
+    // Other modes: always start fresh unless continuing current game
+    if (!gameStorage.get('guesses')) {
+        gameStorage.clear();
+        gameStorage.set('guesses', -1);
+        gameStorage.setJSON('score', Array(20).fill(-1));
         cube.save();
     } else {
         cube.load();
     }
 }
 
-let guesses = parseInt(localStorage.getItem(getStorageKey('guesses'))) || -1;
-const savedScore = localStorage.getItem(getStorageKey('score'));
-let score = savedScore ? JSON.parse(savedScore) : Array(20).fill(-1);
+// Identifies the game in the statistics and times it
+if (!gameStorage.get('started')) {
+    gameStorage.set('started', Date.now());
+}
+
+const savedHistory = gameStorage.getJSON('history') || [];
+// Settings only change the rules of a game until its first real guess
+let rules = gameStorage.getJSON('rules');
+if (isHotSeatMode()) {
+    // Every player of a hot-seat match plays by the same rules
+    rules = { ...getRuleSettings(), ...hotSeat.match.rules };
+    gameStorage.setJSON('rules', rules);
+} else if (!rules || savedHistory.length <= 1) {
+    rules = getRuleSettings();
+    gameStorage.setJSON('rules', rules);
+}
+const game = new Game(answerState, {
+    guesses: parseInt(gameStorage.get('guesses')) || -1,
+    score: gameStorage.getJSON('score') || Array(20).fill(-1),
+    history: savedHistory,
+    ...rules,
+});
+// Set up the clock of timed games, which starts with the free guess. Hot-seat games are not timed, as the clock would
+// keep running during the turns of the other players.
+const timer = new Timer(gameStorage, isHotSeatMode() ? {} : rules);
+if (timer.isEnabled() && !game.isOver() && !gameStorage.get('complete')) {
+    timer.start();
+}
+const clock = document.getElementById('clock');
+function updateTimer() {
+    clock.style.display = timer.isEnabled() ? 'block' : 'none';
+    if (!timer.isEnabled()) return;
+    const blitz = timer.mode === 'blitz';
+    clock.innerText = '⏱️ ' + Timer.format(blitz ? timer.getRemaining() : timer.getElapsed());
+    clock.classList.toggle('low', blitz && !timer.isStopped() && timer.getRemaining() < 10 * 1000);
+    if (blitz && timer.isTimeUp() && !game.isOver() && !gameStorage.get('complete')) {
+        timeUp();
+    }
+}
+// Set up browsing the feedback of earlier guesses
+const guessHistory = new GuessHistory(cube, feedback, game);
+guessHistory.onchange = viewing => {
+    if (viewing && document.getElementById('notation-input').style.display !== 'none') {
+        setNotationMode(false);
+    }
+    document.getElementById('picker').replaceChildren();
+    document.getElementById('actions').style.visibility = viewing ? 'hidden' : 'visible';
+};
+
 check();
 
-// Initialize statistics display
-updateStatisticsDisplay();
+// A blitz game that ran out of time ends again once its last guess is shown
+if (gameStorage.get('timedOut')) {
+    game.timedOut = true;
+    showGameOver();
+}
+updateTimer();
+setInterval(updateTimer, 100);
+
+// Every turn starts behind a screen, so the cube can be handed over without showing it to the others
+if (isHotSeatMode()) {
+    if (hotSeat.isOver()) {
+        // Lost games only show that they are over once the last guess is checked again
+        if (game.isOver()) {
+            showGameOver();
+        }
+        openHotSeat();
+    } else {
+        document.getElementById('turn-player').innerText = I18n.t('hotseat.turn', { name: hotSeat.getPlayer() });
+        document.getElementById('turn-info').innerText = I18n.t('hotseat.guess', {
+            number: game.guesses + 1,
+            maxGuesses: game.maxGuesses,
+        });
+        toggleVisible('turn-container');
+    }
+}
+
+// Broken challenge links open the game as usual, with the reason they could not be opened
+if (challengeLinkError) {
+    openChallenge();
+    challengeStatus.innerText = challengeLinkError;
+}
+
+// Set up the deduction assistant
+function updateAssistant() {
+    const panel = document.getElementById('assistant');
+    if (!assistant.checked || game.isOver() || gameStorage.get('complete')) {
+        panel.style.display = 'none';
+        cube.showCandidates(null);
+        cube.refreshPicker();
+        return;
+    }
+    const deduction = new Deduction(game, cube.locks);
+    const forced = deduction.getForced();
+    document.getElementById('assistant-status').innerText = I18n.t('assistant.status', {
+        forced: forced.length,
+        oriented: forced.filter(({ orientation }) => orientation !== null).length,
+    });
+    panel.style.display = 'flex';
+    cube.showCandidates(deduction);
+    cube.refreshPicker();
+}
+document.getElementById('assistant-fill').onclick = () => cube.fillForced();
+
+// Set up undo and redo of piece edits
+document.getElementById('undo').onclick = () => cube.undo();
+document.getElementById('redo').onclick = () => cube.redo();
+
+// Set up keyboard control
+const keyMap = new KeyMap(storage);
+const pieceInput = document.getElementById('piece-input');
+function setPieceInputVisible(visible) {
+    pieceInput.style.display = visible ? 'block' : 'none';
+    pieceInput.value = '';
+    pieceInput.classList.remove('invalid');
+    if (visible) {
+        pieceInput.focus();
+    }
+}
+pieceInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+        setPieceInputVisible(false);
+    } else if (event.key === 'Enter') {
+        try {
+            cube.typePiece(pieceInput.value);
+            setPieceInputVisible(false);
+        } catch (error) {
+            pieceInput.classList.add('invalid');
+            const parity = document.getElementById('parity');
+            parity.innerText = error.message;
+            parity.style.color = 'red';
+        }
+    }
+});
+pieceInput.onblur = () => setPieceInputVisible(false);
+
+const KEY_ACTIONS = {
+    up: () => cube.navigateWASD('w'),
+    left: () => cube.navigateWASD('a'),
+    down: () => cube.navigateWASD('s'),
+    right: () => cube.navigateWASD('d'),
+    nextPiece: () => cube.cyclePiece(1),
+    previousPiece: () => cube.cyclePiece(-1),
+    typePiece: () => !cube.readOnly && cube.getSelectedCubie() && setPieceInputVisible(true),
+    erase: () => document.getElementById('erase').click(),
+    rotate: () => document.getElementById('rotate').click(),
+    submit: () => guess.isConnected && !guess.disabled && check(),
+    viewLeft: () => cube.turnView('left'),
+    viewRight: () => cube.turnView('right'),
+    viewFlip: () => cube.turnView('flip'),
+    help: () => openKeys(),
+};
 
-// Set up WASD navigation
 document.addEventListener('keydown', (event) => {
-    // Only handle WASD keys when not in input fields or modals
-    if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') return;
-    if (document.getElementById('stats-container').style.display !== 'none') return;
-    if (document.getElementById('tutorial-container').style.display !== 'none') return;
+    // Only handle keys when not in input fields or modals
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+    // Focused buttons are pressed with Enter and Space already
+    if (event.target.tagName === 'BUTTON' && ['Enter', ' '].includes(event.key)) return;
+    for (const container of document.querySelectorAll('.container')) {
+        if (container.style.display !== 'none') return;
+    }
 
     // Ensure consistent lowercase handling for all key comparisons
     const key = event.key.toLowerCase();
-    if (['w', 'a', 's', 'd'].includes(key)) {
+    if ((event.ctrlKey || event.metaKey) && (key === 'z' || key === 'y')) {
+        event.preventDefault();
+        if (key === 'y' || event.shiftKey) {
+            cube.redo();
+        } else {
+            cube.undo();
+        }
+        return;
+    }
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    const action = keyMap.getAction(event);
+    if (action) {
         event.preventDefault();
-        cube.navigateWASD(key);
+        KEY_ACTIONS[action]();
     }
 });
 
+// Set up the cheat sheet, where keys can also be rebound
+function renderKeys() {
+    const list = document.getElementById('keys-list');
+    list.replaceChildren();
+    for (const action of Object.keys(KeyMap.ACTIONS)) {
+        const row = list.appendChild(document.createElement('tr'));
+        const key = row.appendChild(document.createElement('td')).appendChild(document.createElement('button'));
+        key.classList.add('action');
+        key.innerText = KeyMap.describe(keyMap.keys[action]);
+        key.title = I18n.t('keys.rebind');
+        key.onclick = () => {
+            key.innerText = '…';
+            const capture = (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                // Modifiers are pressed on their way to shortcuts, so keep waiting for another key
+                if (KeyMap.MODIFIERS.includes(event.key)) return;
+                document.removeEventListener('keydown', capture, { capture: true });
+                if (event.key !== 'Escape') {
+                    keyMap.bind(action, KeyMap.getKey(event));
+                }
+                renderKeys();
+            };
+            document.addEventListener('keydown', capture, { capture: true });
+        };
+        row.appendChild(document.createElement('td')).innerText = I18n.t(`keys.${action}`);
+    }
+}
+function openKeys() {
+    renderKeys();
+    toggleVisible('keys-container');
+}
+document.getElementById('open-keys').onclick = () => {
+    toggleVisible('settings-container');
+    openKeys();
+};
+document.getElementById('reset-keys').onclick = () => {
+    keyMap.reset();
+    renderKeys();
+};
+document.getElementById('close-keys').onclick = () => toggleVisible('keys-container');
+
 function check() {
-    solver.currentState = [...cube.permutation, ...cube.orientation];
-    // solver.js does not check all numbers are in valid [0, 20) range
-    if (cube.permutation.includes(-1) || !solver.verifyState()) {
+    const state = [...cube.permutation, ...cube.orientation];
+    const hardModeViolation = Game.isSolvable(state) && !game.isOver() && game.checkHardMode(state);
+    if (!Game.isSolvable(state)) {
+        guess.classList.add('shake');
+    } else if (hardModeViolation) {
         guess.classList.add('shake');
-    } else if (guesses >= 6) {
-        // Game over - maximum guesses reached
-        document.getElementById('parity').innerText = 'Game Over! Maximum 6 guesses reached.';
-        document.getElementById('picker').replaceChildren();
-        document.getElementById('actions').replaceChildren();
-        cube.selection.visible = false;
+        const parity = document.getElementById('parity');
+        parity.innerText = I18n.t(`hardMode.${hardModeViolation.rule}`, {
+            color: I18n.t(`color.${getScheme()[hardModeViolation.color]}`), face: hardModeViolation.face,
+        });
+        parity.style.color = 'red';
+    } else if (game.isOver()) {
+        showGameOver();
         return;
     } else {
         // Increment guesses, save state, and show feedback
-        localStorage.setItem(getStorageKey('guesses'), guesses++);
+        gameStorage.set('guesses', game.guesses);
+        const result = game.submit(state);
+        if (timer.isEnabled() && game.guesses > 0) {
+            timer.split(game.guesses);
+        }
+        cube.clearEdits();
+        gameStorage.setJSON('score', game.score);
+        // Indexed by guess since the last guess is checked again on every page load
+        gameStorage.setJSON('history', game.history);
+        guessHistory.update(game.history);
         const guessLabel = document.getElementById('guess-label');
-        if (guessLabel) guessLabel.textContent = String(guesses);
+        if (guessLabel) guessLabel.textContent = String(game.guesses);
         cube.save();
-        cube.updateParity();
-        cube.initPicker(cube.selection);
-        const currentColors = stateToFaceletColors(solver.currentState);
+        if (document.getElementById('notation-input').style.display === 'none') {
+            cube.updateParity();
+            cube.initPicker(cube.selection);
+        }
         // Check answer
-        feedback.drawCube(currentColors, answerColors);
+        feedback.drawCube(result.colors, game.answerColors);
         // Update statistics display after guess is processed
-        updateStatisticsDisplay();
-        if (currentColors.toString() === answerColors.toString()) {
-            if (!localStorage.getItem(getStorageKey('complete'))) {
-                localStorage.setItem(getStorageKey('complete'), true);
-                stats[Math.min(guesses - 1, stats.length - 1)]++;
-                localStorage.setItem('stats', JSON.stringify(stats));
+        updateStatisticsDisplay(result);
+        if (result.won || game.isOver()) {
+            timer.stop();
+            recordGame(result.won);
+        }
+        if (isHotSeatMode()) {
+            const over = !result.won && game.isOver();
+            if (hotSeat.play({ guesses: game.guesses, stickers: result.solvedStickers, won: result.won, over })) {
+                endTurn(result.won, over);
+            }
+        }
+        if (result.won) {
+            if (!gameStorage.get('complete')) {
+                gameStorage.set('complete', true);
+                if (!challenge) {
+                    const results = storage.getJSON('dailyResults') || {};
+                    results[getPuzzleNumber()] = game.guesses;
+                    storage.setJSON('dailyResults', results);
+                }
             }
             // Show confetti
             const canvas = document.getElementById('confetti');
@@ -305,114 +1298,82 @@ function check() {
                     shapes: ['square'],
                     origin: { x: .5, y: .6 },
                 });
+                setNotationMode(false);
                 cube.selection.visible = false;
-                document.getElementById('parity').innerText = `You won in ${guesses} guesses!`;
+                cube.readOnly = true;
+                document.getElementById('parity').innerText = I18n.t('game.won', { count: game.guesses });
                 document.getElementById('picker').replaceChildren();
-                const share = document.createElement('button');
-                share.innerText = '📋 Share';
-                share.classList.add('action');
-                share.style.flex = '1';
-                share.onclick = () => {
-                    const today = new Date().toISOString().substring(0, 10);
-                    const modeText = isDailyMode() ? 'Daily' : 'Trainer';
-                    const result = `Cuble ${today} (${modeText}): ${guesses}/6, ${score.join(' ')}`;
-                    navigator.clipboard.writeText(result).then(
-                        () => share.innerText = 'Copied results to clipboard!',
-                        () => share.innerText = 'Could not copy to clipboard!',
-                    );
-                };
-                document.getElementById('actions').replaceChildren(share);
+                cube.showFixes([]);
+                document.getElementById('actions').replaceChildren(...createResultButtons(true));
                 setTimeout(() => canvas.style.display = 'none', 3000);
             }, Cube2D.DELAY * 100);
         }
+        updateAssistant();
     }
 }
 
-function updateScore(score) {
-    let correct = 0;
-    for (let i = 0; i < score.length; i++) {
-        if (cube.permutation[i] === answerState[i] && cube.orientation[i] === answerState[i + 20]) {
-            correct++;
-            if (score[i] === -1) {
-                score[i] = guesses;
-            }
-        }
-    }
-    localStorage.setItem(getStorageKey('score'), JSON.stringify(score));
-    return correct;
+// Game over - maximum guesses reached or out of time
+function showGameOver() {
+    setNotationMode(false);
+    document.getElementById('parity').innerText = game.timedOut ? I18n.t('game.timeUp') :
+        I18n.t('game.lost', { count: game.maxGuesses });
+    document.getElementById('picker').replaceChildren();
+    cube.showFixes([]);
+    document.getElementById('actions').replaceChildren(...createResultButtons(false));
+    cube.selection.visible = false;
+    cube.readOnly = true;
 }
 
-function countSolvedStickers() {
-    const currentColors = stateToFaceletColors([...cube.permutation, ...cube.orientation]);
-    let solvedStickers = 0;
-
-    // Count correctly colored stickers (excluding centers which are always correct)
-    for (let i = 0; i < 54; i++) {
-        // Skip center stickers (positions 4, 13, 22, 31, 40, 49 in ULFRBD order)
-        if (i % 9 === 4) continue;
-
-        if (currentColors[i] === answerColors[i]) {
-            solvedStickers++;
-        }
+// The feedback of a hot-seat guess stays up until the player hands the cube on
+function endTurn(won, over) {
+    if (won) return;
+    if (over) {
+        showGameOver();
+        return;
     }
-
-    // Add the 6 center stickers which are always correct
-    return solvedStickers + 6;
+    setNotationMode(false);
+    document.getElementById('picker').replaceChildren();
+    cube.showFixes([]);
+    document.getElementById('actions').replaceChildren(createHotSeatButton());
+    cube.selection.visible = false;
+    cube.readOnly = true;
 }
 
-function updateStatisticsDisplay() {
-    const solvedPieces = updateScore(score);
-    const solvedStickers = countSolvedStickers();
-
-    document.getElementById('solved-pieces').textContent = `Pieces: ${solvedPieces}/20`;
-    document.getElementById('solved-stickers').textContent = `Stickers: ${solvedStickers}/54`;
+function timeUp() {
+    game.timedOut = true;
+    gameStorage.set('timedOut', true);
+    timer.stop();
+    guessHistory.close();
+    recordGame(false);
+    updateAssistant();
+    showGameOver();
 }
 
-// Make updateStatisticsDisplay available globally for Cube3D
-window.updateStatisticsDisplay = updateStatisticsDisplay;
-
-function stateToFaceletColors(state) {
-    const permutation = state.slice(0, 20);
-    const orientation = state.slice(20);
-    // Convert a permutation and orientation state into the 54 facelet colors required by Cube2D
-    const FACELETS = {
-        U: ['UBL', 'UB', 'URB', 'UL', 'U', 'UR', 'ULF', 'UF', 'UFR'],
-        L: ['UBL', 'UL', 'ULF', 'BL', 'L', 'FL', 'DLB', 'DL', 'DFL'],
-        F: ['ULF', 'UF', 'UFR', 'FL', 'F', 'FR', 'DFL', 'DF', 'DRF'],
-        R: ['UFR', 'UR', 'URB', 'FR', 'R', 'BR', 'DRF', 'DR', 'DBR'],
-        B: ['URB', 'UB', 'UBL', 'BR', 'B', 'BL', 'DBR', 'DB', 'DLB'],
-        D: ['DFL', 'DF', 'DRF', 'DL', 'D', 'DR', 'DLB', 'DB', 'DBR'],
-    };
-    const colors = [];
-    for (const face of 'ULFRBD') {
-        for (const facelet of FACELETS[face]) {
-            if (facelet.length === 1) {
-                colors.push(facelet);
-            } else {
-                const index = Cube3D.getStateIndex(facelet);
-                let actualPermutation = Cube3D.CUBIE_ORDER[permutation[index]];
-                let actualOrientation = facelet.indexOf(face);
-                if (facelet.length === 2) {
-                    actualOrientation += orientation[index];
-                } else if (facelet.length === 3) {
-                    // HACK: swap orientations 1 and 2
-                    actualOrientation += 3 - orientation[index];
-                }
-                colors.push(actualPermutation.charAt(actualOrientation % actualPermutation.length));
-            }
-        }
-    }
-    return colors;
+function recordGame(won) {
+    // Hot-seat games are mostly played by others, so they stay out of the statistics of this device
+    if (isHotSeatMode()) return;
+    const started = parseInt(gameStorage.get('started'));
+    stats.record({
+        id: `${getCurrentGameMode()}_${started}`,
+        mode: getCurrentGameMode(),
+        puzzle: challenge ? null : getPuzzleNumber(),
+        date: new Date().toISOString(),
+        won,
+        guesses: game.guesses,
+        maxGuesses: game.maxGuesses,
+        hardMode: game.hardMode,
+        difficulty: challenge ? challenge.difficulty || Challenge.CUSTOM : null,
+        progress: game.getProgress(),
+        duration: Date.now() - started,
+        clock: timer.mode,
+        time: timer.isEnabled() ? timer.getElapsed() : null,
+        splits: timer.isEnabled() ? timer.getSplits() : null,
+    });
 }
 
-function shuffle(array, rng) {
-    for (let i = array.length - 1; i > 0; i--) {
-        let j = Math.floor(rng() * (i + 1));
-        let temp = array[i];
-        array[i] = array[j];
-        array[j] = temp;
-    }
-    return array;
+function updateStatisticsDisplay(result) {
+    document.getElementById('solved-pieces').textContent = I18n.t('game.pieces', { solved: result.solvedPieces });
+    document.getElementById('solved-stickers').textContent = I18n.t('game.stickers', { solved: result.solvedStickers });
 }
 
 if ('serviceWorker' in navigator) {
@@ -0,0 +1,91 @@
+import I18n from './i18n.js';
+import RubiksCubeSolver from './lib/solver.js';
+
+export default class Notation {
+    // Face order used by RubiksCubeSolver move indices
+    static FACES = 'UDFBLR';
+
+    // Axis each face turns around and the sign of a clockwise quarter turn about that axis
+    static FACE_AXES = {
+        U: ['y', -1], D: ['y', 1],
+        R: ['x', -1], L: ['x', 1],
+        F: ['z', -1], B: ['z', 1],
+    };
+
+    // Centers never move in our state, so every move is described by the face turns it amounts to relative to
+    // the centers. The layers are the cubie coordinates along the axis that visibly turn.
+    static MOVES = {
+        U: { axis: 'y', layers: [1], turns: { U: 1 } },
+        D: { axis: 'y', layers: [-1], turns: { D: 1 } },
+        R: { axis: 'x', layers: [1], turns: { R: 1 } },
+        L: { axis: 'x', layers: [-1], turns: { L: 1 } },
+        F: { axis: 'z', layers: [1], turns: { F: 1 } },
+        B: { axis: 'z', layers: [-1], turns: { B: 1 } },
+        // Slices turn the two outer layers the other way instead
+        M: { axis: 'x', layers: [1, -1], turns: { R: 1, L: 3 } },
+        E: { axis: 'y', layers: [1, -1], turns: { U: 1, D: 3 } },
+        S: { axis: 'z', layers: [1, -1], turns: { F: 3, B: 1 } },
+        // Wide moves turn the opposite face once the whole cube is rotated back
+        u: { axis: 'y', layers: [-1], turns: { D: 1 } },
+        d: { axis: 'y', layers: [1], turns: { U: 1 } },
+        r: { axis: 'x', layers: [-1], turns: { L: 1 } },
+        l: { axis: 'x', layers: [1], turns: { R: 1 } },
+        f: { axis: 'z', layers: [-1], turns: { B: 1 } },
+        b: { axis: 'z', layers: [1], turns: { F: 1 } },
+    };
+
+    /**
+     * Parse a move sequence in WCA notation, like "R U R' U' M2 Fw".
+     * @param {string} sequence moves separated by whitespace
+     * @returns {Array<object>} parsed moves, each with the name, the axis and layers to animate, the signed
+     * angle in radians and the RubiksCubeSolver move indices to apply
+     */
+    static parse(sequence) {
+        const moves = [];
+        for (const token of sequence.trim().split(/\s+/)) {
+            if (!token) continue;
+            const match = token.match(/^([UDRLFB]w?|[MES]|[udrlfb])(2'?|')?$/);
+            if (!match) {
+                throw new Error(I18n.t('notation.unknown', { move: token }));
+            }
+            const base = Notation.MOVES[match[1].length === 2 ? match[1].charAt(0).toLowerCase() : match[1]];
+            const amount = { undefined: 1, '2': 2, "2'": 2, "'": -1 }[match[2]];
+            const indices = [];
+            let angle = 0;
+            for (const [face, turns] of Object.entries(base.turns)) {
+                const quarterTurns = (turns * amount + 4) % 4;
+                indices.push(Notation.FACES.indexOf(face) * 3 + quarterTurns - 1);
+                // Animate the short way around
+                angle = Notation.FACE_AXES[face][1] * (quarterTurns === 3 ? -1 : quarterTurns) * Math.PI / 2;
+            }
+            moves.push({ name: token, axis: base.axis, layers: base.layers, angle, indices });
+        }
+        return moves;
+    }
+
+    /**
+     * Apply parsed moves to a state.
+     * @param {Array<object>} moves moves returned by Notation.parse
+     * @param {Array<number>} state 40 numbers: the permutation followed by the orientation
+     * @returns {Array<number>} the state after the moves
+     */
+    static apply(moves, state) {
+        const solver = new RubiksCubeSolver();
+        for (const move of moves) {
+            for (const index of move.indices) {
+                state = solver.applyMove(index, state);
+            }
+        }
+        return state;
+    }
+
+    /**
+     * Get the move that undoes the given move.
+     * @param {string} move a single move, like R, U2 or Fw'
+     * @returns {string} inverse move
+     */
+    static invert(move) {
+        if (move.endsWith('2') || move.endsWith("2'")) return move.replace("'", '');
+        return move.endsWith("'") ? move.slice(0, -1) : move + "'";
+    }
+}
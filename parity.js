@@ -0,0 +1,97 @@
+import Game from './game.js';
+import I18n from './i18n.js';
+import RubiksCubeSolver from './lib/solver.js';
+
+export default class Parity {
+    // Most fixes to offer for each broken constraint
+    static MAX_FIXES = 4;
+
+    /**
+     * Explain why a state is not solvable and suggest the smallest edits that would make it solvable.
+     * @param {Array<number>} state 40 numbers: the permutation followed by the orientation, -1 for erased pieces
+     * @param {object} fixed indices of slots whose piece (pieces) or orientation (orientations) is known to be right
+     * and should not be touched, in the format of Game.getLocks
+     * @param {Deduction|null} deduction if given, fixes that agree with the feedback so far are suggested first
+     * @returns {object} problems: sentences describing each broken constraint, fixes: list of { description, slots,
+     * state } where state is the state after applying the fix
+     */
+    static diagnose(state, fixed = { pieces: [], orientations: [] }, deduction = null) {
+        const problems = [];
+        const fixes = [];
+        const movable = Game.PIECES.filter(slot => !fixed.pieces.includes(slot));
+        const turnable = Game.PIECES.filter(slot => !fixed.orientations.includes(slot));
+        const name = slot => Game.CUBIE_ORDER[slot];
+        const suggest = (candidates) => {
+            // Prefer fixes that only put pieces where the feedback still allows them
+            const score = ({ slots, state }) => deduction === null ? 0 : slots.filter(slot =>
+                !deduction.candidates[slot].has(state[slot] * 3 + state[slot + 20])).length;
+            fixes.push(...candidates.sort((a, b) => score(a) - score(b)).slice(0, Parity.MAX_FIXES));
+        };
+
+        for (const [group, kind] of [[Game.EDGES, 'edge'], [Game.CORNERS, 'corner']]) {
+            const missing = group.filter(slot => state[slot] === -1);
+            if (missing.length > 0) {
+                problems.push(I18n.t(kind === 'edge' ? 'parity.missingEdges' : 'parity.missingCorners',
+                    { count: missing.length }));
+                const unused = group.filter(piece => !state.slice(0, 20).includes(piece));
+                if (missing.length === 1) {
+                    // The last piece can only go in one way
+                    const size = kind === 'edge' ? 2 : 3;
+                    const others = group.filter(slot => slot !== missing[0])
+                        .reduce((sum, slot) => sum + state[slot + 20], 0);
+                    const next = [...state];
+                    next[missing[0]] = unused[0];
+                    next[missing[0] + 20] = (size - others % size) % size;
+                    const description = I18n.t('parity.put', { piece: name(unused[0]), slot: name(missing[0]) });
+                    suggest([{ description, slots: missing, state: next }]);
+                }
+                continue;
+            }
+            const solver = new RubiksCubeSolver();
+            solver.currentState = [...state];
+            if (kind === 'edge' && solver.edgeParity() !== 0) {
+                problems.push(I18n.t('parity.flipped'));
+                suggest(turnable.filter(slot => group.includes(slot)).map(slot => {
+                    const next = [...state];
+                    next[slot + 20] = 1 - next[slot + 20];
+                    return { description: I18n.t('parity.flip', { slot: name(slot) }), slots: [slot], state: next };
+                }));
+            }
+            const twist = solver.cornerParity();
+            if (kind === 'corner' && twist !== 0) {
+                const direction = twist === 1 ? 'Clockwise' : 'CounterClockwise';
+                problems.push(I18n.t(`parity.twisted${direction}`));
+                suggest(turnable.filter(slot => group.includes(slot)).map(slot => {
+                    const next = [...state];
+                    next[slot + 20] = (next[slot + 20] + 3 - twist) % 3;
+                    const description = I18n.t(`parity.twist${direction}`, { slot: name(slot) });
+                    return { description, slots: [slot], state: next };
+                }));
+            }
+        }
+
+        if (!state.slice(0, 20).includes(-1)) {
+            const solver = new RubiksCubeSolver();
+            solver.currentState = [...state];
+            if (solver.permutationParity() !== 0) {
+                problems.push(I18n.t('parity.swapped'));
+                const swaps = [];
+                for (const group of [Game.EDGES, Game.CORNERS]) {
+                    const slots = movable.filter(slot => group.includes(slot));
+                    for (let i = 0; i < slots.length; i++) {
+                        for (let j = i + 1; j < slots.length; j++) {
+                            const [a, b] = [slots[i], slots[j]];
+                            const next = [...state];
+                            // Orientations stay with the slots, so the orientation parity is not affected
+                            [next[a], next[b]] = [state[b], state[a]];
+                            const description = I18n.t('parity.swap', { a: name(a), b: name(b) });
+                            swaps.push({ description, slots: [a, b], state: next });
+                        }
+                    }
+                }
+                suggest(swaps);
+            }
+        }
+        return { problems, fixes };
+    }
+}
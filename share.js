@@ -0,0 +1,68 @@
+import I18n from './i18n.js';
+import Timer from './timer.js';
+
+export default class Share {
+    // Squares for each kind of feedback from Game.getFeedback. There is no gray square emoji, so crossed out
+    // stickers get the black medium square, which most platforms draw in dark gray, unlike the white unsolved pieces.
+    static SQUARES = { '.': '🟩', '/': '🟨', 'X': '◼️' };
+    static BLANK = '⬛';
+    static UNSOLVED = '⬜';
+    static CLOCK = '⏱️';
+    static DIGITS = ['0️⃣', '1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣', '7️⃣', '8️⃣', '9️⃣', '🔟'];
+
+    /**
+     * Build the spoiler-free text to share after a game.
+     * @param {object} result title (puzzle number or date), mode (in the current language), guesses, maxGuesses,
+     * hardMode, won, time (milliseconds, or null for games without a clock), score (see Game) and feedback (54
+     * feedback characters for every guess, starting with the free guess)
+     * @returns {string} text to share
+     */
+    static getText({ title, mode, guesses, maxGuesses, hardMode, won, time, score, feedback }) {
+        // Marked with an asterisk in hard mode, like Wordle
+        const heading = I18n.t('share.title', { title, mode, result: won ? guesses : 'X', maxGuesses });
+        const lines = [heading + (hardMode ? '*' : '')];
+        if (typeof time === 'number') {
+            lines.push(`${Share.CLOCK} ${Timer.format(time)}`);
+        }
+        lines.push('');
+        lines.push(...Share.getPieceSummary(score), '');
+        // The free guess is the same for everyone, so it is left out
+        for (let i = 1; i < feedback.length; i++) {
+            if (!feedback[i]) continue;
+            lines.push(...Share.getNet(feedback[i]), '');
+        }
+        return lines.join('\n').trim();
+    }
+
+    /**
+     * Draw the feedback of a guess as an unfolded cube net of emoji squares, in the same layout as Cube2D.
+     * @param {string} feedback 54 feedback characters in ULFRBD order
+     * @returns {Array<string>} the 9 lines of the net
+     */
+    static getNet(feedback) {
+        const row = (face, r) => [...feedback.substring(face * 9 + r * 3, face * 9 + r * 3 + 3)]
+            .map(square => Share.SQUARES[square]).join('');
+        const lines = [];
+        for (let r = 0; r < 3; r++) {
+            lines.push(Share.BLANK.repeat(3) + row(0, r));
+        }
+        for (let r = 0; r < 3; r++) {
+            lines.push([1, 2, 3, 4].map(face => row(face, r)).join(''));
+        }
+        for (let r = 0; r < 3; r++) {
+            lines.push(Share.BLANK.repeat(3) + row(5, r));
+        }
+        return lines;
+    }
+
+    /**
+     * Summarize on which guess each piece was solved, in the order of Game.CUBIE_ORDER.
+     * @param {Array<number>} score for every piece, the guess it was first solved on or -1
+     * @returns {Array<string>} one line for the edges and one for the corners
+     */
+    static getPieceSummary(score) {
+        const digits = score.map(guess => guess === -1 ? Share.UNSOLVED :
+            Share.DIGITS[Math.min(guess, Share.DIGITS.length - 1)]);
+        return [digits.slice(0, 12).join(''), digits.slice(12).join('')];
+    }
+}
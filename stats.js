@@ -0,0 +1,171 @@
+export default class Stats {
+    static KEY = 'statistics';
+    static VERSION = 1;
+
+    /**
+     * Load the record of finished games, migrating older formats.
+     * @param {Storage} storage where the record is kept
+     */
+    constructor(storage) {
+        this.storage = storage;
+        this.data = Stats.load(storage);
+    }
+
+    static load(storage) {
+        const data = storage.getJSON(Stats.KEY);
+        if (data && data.version === Stats.VERSION) {
+            return data;
+        }
+        // Before version 1 only a histogram of wins was kept, for daily and trainer games together
+        let legacy = storage.getJSON('stats') || [];
+        if (legacy.length === 22) {
+            // Older histograms had a bar for up to 21 guesses, which now all count as 7+
+            legacy = [...legacy.slice(0, 6), legacy.slice(6).reduce((sum, wins) => sum + wins, 0)];
+        }
+        return { version: Stats.VERSION, games: [], legacy };
+    }
+
+    save() {
+        this.storage.setJSON(Stats.KEY, this.data);
+    }
+
+    /**
+     * Add a finished game. Games are identified by their id, so recording one twice has no effect.
+     * @param {object} game id, mode, puzzle (daily number or null), date, won, guesses, maxGuesses, hardMode,
+     * difficulty (trainer only), progress (pieces and stickers solved on every guess), duration in milliseconds and,
+     * for timed games, clock (see Timer.MODES), time and splits in milliseconds
+     */
+    record(game) {
+        if (this.data.games.some(({ id }) => id === game.id)) return;
+        this.data.games.push(game);
+        this.save();
+    }
+
+    /**
+     * Add the games of another record, for example from a backup. Games recorded in both are kept once. A daily
+     * puzzle played on two devices was started at different times, so daily and archive games are matched by
+     * their puzzle instead, and the better result is kept.
+     * @param {object} data record in the current format, see Stats.load
+     */
+    merge(data) {
+        for (const game of data.games) {
+            const index = this.data.games.findIndex(other => other.id === game.id ||
+                (['daily', 'archive'].includes(game.mode) && other.mode === game.mode && other.puzzle === game.puzzle));
+            if (index === -1) {
+                this.data.games.push(game);
+            } else if (Stats.isBetter(game, this.data.games[index])) {
+                this.data.games[index] = game;
+            }
+        }
+        // Legacy histograms can't be told apart, so the larger count of each bar is kept
+        const length = Math.max(this.data.legacy.length, data.legacy.length);
+        this.data.legacy = Array.from({ length }, (_, i) => Math.max(this.data.legacy[i] || 0, data.legacy[i] || 0));
+        this.data.games.sort((a, b) => a.date < b.date ? -1 : 1);
+        this.save();
+    }
+
+    /**
+     * @param {object} game recorded game
+     * @param {object} other recorded game of the same puzzle
+     * @returns {boolean} whether game was won and other was not, or both were won and game took fewer guesses
+     */
+    static isBetter(game, other) {
+        return game.won !== other.won ? game.won : game.won && game.guesses < other.guesses;
+    }
+
+    /**
+     * @param {string|null} mode mode to get the games of, or null for all games
+     * @returns {Array<object>} recorded games
+     */
+    getGames(mode) {
+        return this.data.games.filter(game => mode === null || game.mode === mode);
+    }
+
+    /**
+     * @param {string|null} mode mode to summarize, or null for all games including the legacy histogram
+     * @returns {object} number of games played and won and the percentage won
+     */
+    getSummary(mode) {
+        const games = this.getGames(mode);
+        let played = games.length;
+        let won = games.filter(game => game.won).length;
+        if (mode === null) {
+            // Only wins were counted before version 1
+            const legacyWins = this.data.legacy.reduce((sum, wins) => sum + wins, 0);
+            played += legacyWins;
+            won += legacyWins;
+        }
+        return { played, won, winRate: played ? Math.round(won / played * 100) : 0 };
+    }
+
+    /**
+     * Count consecutive daily puzzles won. A streak stays current until the day after the last puzzle won ends.
+     * @param {number} today number of today's daily puzzle
+     * @returns {object} current and longest streak
+     */
+    getStreaks(today) {
+        const won = new Set(this.getGames('daily').filter(game => game.won).map(game => game.puzzle));
+        let current = 0;
+        for (let number = won.has(today) ? today : today - 1; won.has(number); number--) {
+            current++;
+        }
+        let max = 0;
+        for (const number of won) {
+            // Only count from the start of each streak
+            if (won.has(number - 1)) continue;
+            let length = 0;
+            while (won.has(number + length)) {
+                length++;
+            }
+            max = Math.max(max, length);
+        }
+        return { current, max };
+    }
+
+    /**
+     * @param {string|null} mode mode to get the distribution of, or null for all games including the legacy histogram
+     * @returns {Array<number>} number of wins for every number of guesses, starting at 1
+     */
+    getDistribution(mode) {
+        const distribution = mode === null ? [...this.data.legacy] : [];
+        for (const game of this.getGames(mode)) {
+            if (!game.won) continue;
+            const index = Math.max(game.guesses - 1, 0);
+            while (distribution.length <= index) {
+                distribution.push(0);
+            }
+            distribution[index]++;
+        }
+        return distribution.map(wins => wins || 0);
+    }
+
+    /**
+     * Average the number of solved stickers over all games after every guess, starting with the free guess. Games
+     * that ended earlier keep their final count.
+     * @param {string|null} mode mode to average, or null for all games
+     * @returns {Array<number>} average number of solved stickers after every guess
+     */
+    getProgressCurve(mode) {
+        const games = this.getGames(mode).filter(game => game.progress.length > 0);
+        const length = Math.max(0, ...games.map(game => game.progress.length));
+        const curve = [];
+        for (let i = 0; i < length; i++) {
+            const total = games.reduce((sum, { progress }) =>
+                sum + progress[Math.min(i, progress.length - 1)].stickers, 0);
+            curve.push(total / games.length);
+        }
+        return curve;
+    }
+
+    /**
+     * @param {string} difficulty difficulty to rank, daily and archive games count as full scrambles
+     * @param {number} count number of games to return
+     * @returns {Array<object>} fastest timed games won, fastest first
+     */
+    getBestTimes(difficulty, count) {
+        return this.data.games
+            .filter(game => game.won && typeof game.time === 'number' && (game.difficulty || 'full') === difficulty)
+            .sort((a, b) => a.time - b.time)
+            .slice(0, count);
+    }
+}
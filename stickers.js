@@ -0,0 +1,82 @@
+import COLORS, { getScheme } from './colors.js';
+import I18n from './i18n.js';
+
+export default class Stickers {
+    // Marks that tell the stickers apart without relying on color
+    static OVERLAYS = ['none', 'letters', 'patterns'];
+
+    // Overlay drawn on every sticker, one of OVERLAYS
+    static overlay = 'none';
+
+    /**
+     * Draw a sticker with the current palette and overlay.
+     * @param {CanvasRenderingContext2D} ctx canvas to draw onto
+     * @param {number} x left edge
+     * @param {number} y top edge
+     * @param {number} width width of the sticker
+     * @param {number} height height of the sticker
+     * @param {string} face color of the sticker as a face letter, or X if erased
+     */
+    static draw(ctx, x, y, width, height, face) {
+        const color = COLORS[face];
+        ctx.fillStyle = `rgb(${color.r * 256}, ${color.g * 256}, ${color.b * 256})`;
+        ctx.fillRect(x, y, width, height);
+        const colorName = getScheme()[face];
+        if (Stickers.overlay === 'none' || !colorName) return;
+
+        const size = Math.min(width, height);
+        const cx = x + width / 2;
+        const cy = y + height / 2;
+        ctx.save();
+        // Black marks with a white outline can be seen on light and dark stickers alike
+        for (const [color, width] of [['white', size / 6], ['black', size / 14]]) {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = Math.max(1, width);
+            if (Stickers.overlay === 'letters') {
+                ctx.font = `bold ${Math.round(size * .6)}px sans-serif`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                const letter = I18n.t(`letter.${colorName}`);
+                if (color === 'white') {
+                    ctx.strokeText(letter, cx, cy + size * .04);
+                } else {
+                    ctx.fillStyle = color;
+                    ctx.fillText(letter, cx, cy + size * .04);
+                }
+            } else {
+                Stickers.drawShape(ctx, colorName, cx, cy, size * .2);
+            }
+        }
+        ctx.restore();
+    }
+
+    // White stays blank, every other color gets its own shape, whichever face it is on. The shapes are small and
+    // have no lone lines or diagonal strokes, so they are never mistaken for the slashes and crosses of the feedback.
+    static drawShape(ctx, color, cx, cy, r) {
+        ctx.beginPath();
+        if (color === 'red') {
+            ctx.arc(cx, cy, r * .6, 0, 2 * Math.PI);
+        } else if (color === 'green') {
+            ctx.arc(cx, cy, r, 0, 2 * Math.PI);
+        } else if (color === 'yellow') {
+            ctx.moveTo(cx - r, cy);
+            ctx.lineTo(cx + r, cy);
+            ctx.moveTo(cx, cy - r);
+            ctx.lineTo(cx, cy + r);
+        } else if (color === 'orange') {
+            ctx.moveTo(cx, cy - r);
+            ctx.lineTo(cx + r, cy);
+            ctx.lineTo(cx, cy + r);
+            ctx.lineTo(cx - r, cy);
+            ctx.closePath();
+        } else if (color === 'blue') {
+            ctx.rect(cx - r * .8, cy - r * .8, 1.6 * r, 1.6 * r);
+        }
+        ctx.stroke();
+        // The dot and the diamond are filled, the ring and the square stay hollow
+        if (color === 'red' || color === 'orange') {
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.fill();
+        }
+    }
+}
@@ -0,0 +1,189 @@
+import Game from './game.js';
+
+export default class Storage {
+    static VERSION = 4;
+    static VERSION_KEY = 'schemaVersion';
+    // Names Cube3D gives its cubies, including the centers and the core
+    static CUBIE_NAMES = [...Game.CUBIE_ORDER, 'U', 'D', 'F', 'B', 'L', 'R', ''];
+    // Namespaces of the games of each mode, see main.js. Trainer games are kept by their challenge code, and a
+    // hot-seat match keeps the games of all its players.
+    static GAME_PREFIX = /^(daily_|trainer_[A-Za-z0-9-]+_|archive_\d+_|challenge_[A-Za-z0-9-]+_|hotseat_)/;
+    // Migrations from every version to the next, starting with the keys written before there was a schema version
+    static MIGRATIONS = [
+        // 1 to 2: the colors of each cubie were stored under the name of the cubie, which could collide with other keys
+        storage => {
+            const cubies = {};
+            for (const key of storage.keys()) {
+                // There was a single trainer game at the time
+                const prefix = (key.match(/^(daily_|trainer_|archive_\d+_)/) || [''])[0];
+                const name = key.substring(prefix.length);
+                if (!Storage.CUBIE_NAMES.includes(name)) continue;
+                // Cubies saved before there were modes belong to no game anymore
+                if (prefix) {
+                    (cubies[prefix] = cubies[prefix] || {})[name] = storage.get(key);
+                }
+                storage.remove(key);
+            }
+            for (const [prefix, colors] of Object.entries(cubies)) {
+                storage.namespace(prefix).setJSON('cubies', colors);
+            }
+        },
+        // 2 to 3: the daily puzzle could only change at whole hours, so its offset from UTC was stored in hours
+        storage => {
+            const hours = parseFloat(storage.get('dailyOffset'));
+            if (!isNaN(hours)) {
+                storage.set('dailyOffset', Math.round(hours * 60));
+            }
+        },
+        // 3 to 4: there was a single trainer game, which is moved to the namespace of its challenge code
+        storage => {
+            const game = storage.namespace('trainer_');
+            const seed = game.get('seed');
+            const difficulty = storage.get('trainerDifficulty');
+            const code = `${Game.DIFFICULTIES[difficulty] ? difficulty : 'full'}-${seed}`;
+            for (const key of game.keys()) {
+                // Games without a seed can't be told which cube they were for
+                if (seed && key !== 'seed') {
+                    storage.set(`trainer_${code}_${key}`, game.get(key));
+                }
+                game.remove(key);
+            }
+            if (seed) {
+                storage.set('trainerGame', code);
+            }
+        },
+    ];
+
+    /**
+     * Wrap a backend that stores strings by key. Backends have the getItem, setItem and removeItem methods of
+     * localStorage and a keys method listing all keys, and must answer synchronously.
+     * @param {object} backend where the values are kept
+     * @param {string} prefix namespace all keys are put in
+     */
+    constructor(backend, prefix = '') {
+        this.backend = backend;
+        this.prefix = prefix;
+    }
+
+    static local() {
+        return new Storage({
+            getItem: key => localStorage.getItem(key),
+            setItem: (key, value) => localStorage.setItem(key, value),
+            removeItem: key => localStorage.removeItem(key),
+            keys: () => Object.keys(localStorage),
+        });
+    }
+
+    /**
+     * Keep values in memory only, for example to try out a backup before it is imported or in tests.
+     * @param {object} items initial values by key
+     * @returns {Storage} storage that forgets everything on reload
+     */
+    static memory(items = {}) {
+        const map = new Map(Object.entries(items));
+        return new Storage({
+            getItem: key => map.has(key) ? map.get(key) : null,
+            setItem: (key, value) => map.set(key, String(value)),
+            removeItem: key => map.delete(key),
+            keys: () => [...map.keys()],
+        });
+    }
+
+    /**
+     * Open a storage kept in IndexedDB. All values are read into memory up front so they can be read
+     * synchronously; writes go to the database in the background.
+     * @param {string} name name of the database
+     * @returns {Promise<Storage>} storage backed by the database
+     */
+    static indexedDB(name = 'cuble') {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(name, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('items');
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const db = request.result;
+                const items = {};
+                const cursor = db.transaction('items').objectStore('items').openCursor();
+                cursor.onerror = () => reject(cursor.error);
+                cursor.onsuccess = () => {
+                    if (cursor.result) {
+                        items[cursor.result.key] = cursor.result.value;
+                        cursor.result.continue();
+                        return;
+                    }
+                    const memory = Storage.memory(items).backend;
+                    const store = () => db.transaction('items', 'readwrite').objectStore('items');
+                    resolve(new Storage({
+                        ...memory,
+                        setItem: (key, value) => {
+                            memory.setItem(key, value);
+                            store().put(String(value), key);
+                        },
+                        removeItem: key => {
+                            memory.removeItem(key);
+                            store().delete(key);
+                        },
+                    }));
+                };
+            };
+        });
+    }
+
+    /**
+     * Get a storage for the keys starting with the given prefix, for example everything about one game.
+     * @param {string} prefix prefix of the keys, relative to this storage
+     * @returns {Storage} storage sharing the backend of this one
+     */
+    namespace(prefix) {
+        return new Storage(this.backend, this.prefix + prefix);
+    }
+
+    get(key) {
+        return this.backend.getItem(this.prefix + key);
+    }
+
+    set(key, value) {
+        this.backend.setItem(this.prefix + key, String(value));
+    }
+
+    remove(key) {
+        this.backend.removeItem(this.prefix + key);
+    }
+
+    getJSON(key) {
+        return JSON.parse(this.get(key));
+    }
+
+    setJSON(key, value) {
+        this.set(key, JSON.stringify(value));
+    }
+
+    /**
+     * @returns {Array<string>} keys in this namespace, without the prefix
+     */
+    keys() {
+        return this.backend.keys().filter(key => key.startsWith(this.prefix))
+            .map(key => key.substring(this.prefix.length));
+    }
+
+    clear() {
+        for (const key of this.keys()) {
+            this.remove(key);
+        }
+    }
+
+    getVersion() {
+        return parseInt(this.get(Storage.VERSION_KEY)) || 1;
+    }
+
+    /**
+     * Bring keys written by older versions of Cuble up to date. Keys written by newer versions are left alone.
+     */
+    migrate() {
+        let version = this.getVersion();
+        for (; version < Storage.VERSION; version++) {
+            Storage.MIGRATIONS[version - 1](this);
+        }
+        this.set(Storage.VERSION_KEY, version);
+    }
+}
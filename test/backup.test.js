@@ -0,0 +1,136 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { describe, it } from 'node:test';
+import Backup from '../backup.js';
+import I18n from '../i18n.js';
+import KeyMap from '../keymap.js';
+import Stats from '../stats.js';
+import Storage from '../storage.js';
+
+// Round trip through a file, like exporting on one device and importing on another
+function copy(storage) {
+    const target = Storage.memory();
+    target.migrate();
+    Backup.import(target, JSON.parse(JSON.stringify(Backup.export(storage))));
+    return target;
+}
+
+describe('Backup settings', () => {
+    it('keeps every setting', () => {
+        const storage = Storage.memory();
+        storage.migrate();
+        for (const key of Backup.SETTINGS) {
+            storage.set(key, `value of ${key}`);
+        }
+        const target = copy(storage);
+        for (const key of Backup.SETTINGS) {
+            assert.equal(target.get(key), `value of ${key}`, key);
+        }
+    });
+
+    it('keeps rebound keys', () => {
+        const storage = Storage.memory();
+        storage.migrate();
+        new KeyMap(storage).bind('submit', 'g');
+        assert.equal(new KeyMap(copy(storage)).keys.submit, 'g');
+    });
+
+    it('knows every key the app reads from the top level of storage', () => {
+        // Game storage and the storage of other modules are namespaced and reached through this.storage
+        const read = /(?<!\w\.)\bstorage\.(?:get|set)(?:JSON)?\('(\w+)'/g;
+        for (const file of ['main.js', 'keymap.js']) {
+            const source = fs.readFileSync(new URL(`../${file}`, import.meta.url), 'utf8');
+            for (const [, key] of source.matchAll(read)) {
+                assert.ok(Backup.isKnownKey(key), `${key} in ${file} is not backed up`);
+            }
+        }
+    });
+});
+
+function daily(puzzle, started, won, guesses) {
+    const date = new Date(started).toISOString();
+    return { id: `daily_${started}`, mode: 'daily', puzzle, date, won, guesses, progress: [] };
+}
+
+function withGames(...games) {
+    const storage = Storage.memory();
+    storage.migrate();
+    const stats = new Stats(storage);
+    games.forEach(game => stats.record(game));
+    return storage;
+}
+
+describe('Backup.validate', () => {
+    const valid = () => JSON.parse(JSON.stringify(Backup.export(withGames(daily(1, 0, true, 3)))));
+
+    it('accepts a backup made by export', () => {
+        assert.doesNotThrow(() => Backup.validate(valid()));
+    });
+
+    it('rejects files that are not backups', () => {
+        for (const file of [null, 'cuble', {}, { app: 'other', data: {} }]) {
+            assert.throws(() => Backup.validate(file), { message: I18n.t('backup.notBackup') });
+        }
+        assert.throws(() => Backup.validate({ app: Backup.APP }), { message: I18n.t('backup.noData') });
+    });
+
+    it('rejects unknown keys and values that are not strings', () => {
+        const unknown = valid();
+        unknown.data.password = 'secret';
+        assert.throws(() => Backup.validate(unknown), { message: I18n.t('backup.invalidEntry', { key: 'password' }) });
+        const number = valid();
+        number.data.language = 3;
+        assert.throws(() => Backup.validate(number), { message: I18n.t('backup.invalidEntry', { key: 'language' }) });
+    });
+
+    it('rejects backups and schemas of newer versions', () => {
+        const backup = valid();
+        backup.version = Backup.VERSION + 1;
+        assert.throws(() => Backup.validate(backup), { message: I18n.t('backup.newer') });
+        const schema = valid();
+        schema.data[Storage.VERSION_KEY] = String(Storage.VERSION + 1);
+        assert.throws(() => Backup.validate(schema), { message: I18n.t('backup.newer') });
+    });
+
+    it('rejects statistics of another version or with damaged games', () => {
+        const version = valid();
+        const stats = JSON.parse(version.data[Stats.KEY]);
+        version.data[Stats.KEY] = JSON.stringify({ ...stats, version: Stats.VERSION + 1 });
+        assert.throws(() => Backup.validate(version), { message: I18n.t('backup.damagedStats') });
+        const games = valid();
+        games.data[Stats.KEY] = JSON.stringify({ ...stats, games: [{ id: 1 }] });
+        assert.throws(() => Backup.validate(games), { message: I18n.t('backup.damagedStats') });
+    });
+
+    it('reports damaged entries when importing', () => {
+        const backup = valid();
+        backup.data.dailyResults = '{';
+        assert.throws(() => Backup.import(Storage.memory(), backup), { message: I18n.t('backup.damaged') });
+        const results = valid();
+        results.data.dailyResults = JSON.stringify({ 1: 'three' });
+        assert.throws(() => Backup.import(Storage.memory(), results), { message: I18n.t('backup.damagedResults') });
+    });
+});
+
+describe('Stats.merge', () => {
+    it('keeps games recorded on both devices once', () => {
+        const storage = withGames(daily(1, 0, true, 3));
+        Backup.import(storage, Backup.export(withGames(daily(1, 0, true, 3), daily(2, 1, false, 6))));
+        assert.deepEqual(new Stats(storage).getGames('daily').map(game => game.puzzle), [1, 2]);
+    });
+
+    it('counts a daily played on two devices once, with the better result', () => {
+        const storage = withGames(daily(1, 0, false, 6), daily(2, 1, true, 2));
+        Backup.import(storage, Backup.export(withGames(daily(1, 5, true, 4), daily(2, 6, true, 5))));
+        const stats = new Stats(storage);
+        assert.deepEqual(stats.getSummary('daily'), { played: 2, won: 2, winRate: 100 });
+        assert.deepEqual(stats.getDistribution('daily'), [0, 1, 0, 1]);
+    });
+
+    it('keeps the larger count of every bar of the legacy histogram', () => {
+        const storage = Storage.memory({ stats: JSON.stringify([1, 0, 2]) });
+        storage.migrate();
+        new Stats(storage).merge({ version: Stats.VERSION, games: [], legacy: [0, 3, 1, 1] });
+        assert.deepEqual(new Stats(storage).data.legacy, [1, 3, 2, 1]);
+    });
+});
@@ -0,0 +1,28 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import Daily from '../daily.js';
+
+describe('Daily', () => {
+    it('changes the puzzle at midnight UTC', () => {
+        const daily = new Daily();
+        assert.equal(daily.getNumber(new Date(Date.UTC(...Daily.LAUNCH))), 1);
+        assert.equal(daily.getNumber(new Date(Date.UTC(...Daily.LAUNCH) - 1)), 0);
+    });
+
+    it('changes the puzzle at midnight in time zones that are off by part of an hour', () => {
+        const daily = new Daily(330);
+        const midnight = Date.UTC(2024, 0, 1, 18, 30);
+        assert.equal(daily.getNumber(new Date(midnight)) - daily.getNumber(new Date(midnight - 1)), 1);
+        assert.equal(daily.getNextRollover(new Date(midnight - 1)).getTime(), midnight);
+        assert.equal(new Daily(-570).getNextRollover(new Date(Date.UTC(2024, 0, 1))).getTime(),
+            Date.UTC(2024, 0, 1, 9, 30));
+    });
+
+    it('finds the puzzle of a date', () => {
+        assert.equal(Daily.getNumberOnDate(...Daily.LAUNCH), 1);
+        const date = Daily.getDate(700);
+        assert.equal(Daily.getNumberOnDate(date.getFullYear(), date.getMonth(), date.getDate()), 700);
+        // Days past the end of a month are counted into the next one
+        assert.equal(Daily.getNumberOnDate(2022, 2, 32), Daily.getNumberOnDate(2022, 3, 1));
+    });
+});
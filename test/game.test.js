@@ -0,0 +1,163 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import Game from '../game.js';
+import Notation from '../notation.js';
+
+const SOLVED_COLORS = [...'ULFRBD'].flatMap(face => Array(9).fill(face));
+// Index of facelet j on face i, in ULFRBD order
+const facelet = (face, j) => 'ULFRBD'.indexOf(face) * 9 + j;
+const CENTERS = [...'ULFRBD'].map(face => facelet(face, 4));
+
+function withColors(changes) {
+    const colors = [...SOLVED_COLORS];
+    for (const [index, color] of Object.entries(changes)) {
+        colors[index] = color;
+    }
+    return colors;
+}
+
+function applyMoves(sequence) {
+    return Notation.apply(Notation.parse(sequence), [...Game.SOLVED_STATE]);
+}
+
+describe('Game.getFeedback', () => {
+    it('marks every facelet of the answer as correct', () => {
+        assert.deepEqual(Game.getFeedback(SOLVED_COLORS, SOLVED_COLORS), Array(54).fill('.'));
+    });
+
+    it('slashes a duplicated color only as often as it is missing on the face', () => {
+        // The answer has one red corner on U, the guess has two red corners in other spots
+        const answer = withColors({ [facelet('U', 0)]: 'R' });
+        const guess = withColors({ [facelet('U', 2)]: 'R', [facelet('U', 6)]: 'R' });
+        const feedback = Game.getFeedback(guess, answer);
+        assert.equal(feedback[facelet('U', 0)], '/');
+        assert.equal(feedback[facelet('U', 2)], '/');
+        assert.equal(feedback[facelet('U', 6)], 'X');
+        assert.equal(feedback[facelet('U', 8)], '.');
+    });
+
+    it('scores corners and edges separately', () => {
+        // Red belongs on an edge of U and white on a corner, but the guess swaps them between the two types
+        const answer = withColors({ [facelet('U', 1)]: 'R' });
+        const guess = withColors({ [facelet('U', 0)]: 'R' });
+        const feedback = Game.getFeedback(guess, answer);
+        assert.equal(feedback[facelet('U', 0)], 'X');
+        assert.equal(feedback[facelet('U', 1)], 'X');
+    });
+
+    it('only looks for misplaced colors on the same face', () => {
+        const answer = withColors({ [facelet('F', 1)]: 'R' });
+        const guess = withColors({ [facelet('U', 1)]: 'R' });
+        const feedback = Game.getFeedback(guess, answer);
+        assert.equal(feedback[facelet('U', 1)], 'X');
+        assert.equal(feedback[facelet('F', 1)], 'X');
+    });
+
+    it('always marks the centers as correct', () => {
+        const answer = Game.stateToFaceletColors(applyMoves("R U F' L2 D B' M E S"));
+        const feedback = Game.getFeedback(Game.stateToFaceletColors(Game.SOLVED_STATE), answer);
+        for (const center of CENTERS) {
+            assert.equal(feedback[center], '.');
+        }
+    });
+});
+
+describe('Game scoring', () => {
+    it('counts solved pieces and stickers, including the centers', () => {
+        const answer = applyMoves('R');
+        const game = new Game(answer);
+        // R moves 8 pieces and the 12 stickers around the R face, its own stickers stay red
+        assert.equal(game.countSolvedPieces(Game.SOLVED_STATE), 12);
+        assert.equal(game.countSolvedStickers(Game.SOLVED_STATE), 42);
+        assert.equal(game.countSolvedStickers(answer), 54);
+    });
+
+    it('records the guess every piece was first solved on', () => {
+        const game = new Game(applyMoves('R'));
+        // Free guess
+        const free = game.submit(Game.SOLVED_STATE);
+        assert.equal(free.solvedPieces, 12);
+        assert.equal(game.score.filter(guess => guess === 0).length, 12);
+        assert.equal(game.score.filter(guess => guess === -1).length, 8);
+        game.submit(Game.SOLVED_STATE);
+        // Pieces solved before keep the guess they were first solved on
+        assert.equal(game.score.filter(guess => guess === 0).length, 12);
+        assert.equal(game.score.filter(guess => guess === -1).length, 8);
+    });
+
+    it('reports progress for every guess', () => {
+        const answer = applyMoves('R');
+        const game = new Game(answer);
+        game.submit(Game.SOLVED_STATE);
+        game.submit(answer);
+        assert.deepEqual(game.getProgress(), [{ pieces: 12, stickers: 42 }, { pieces: 20, stickers: 54 }]);
+    });
+});
+
+describe('Game.submit', () => {
+    it('wins when the guess is the answer', () => {
+        const answer = applyMoves("R U R' U'");
+        const game = new Game(answer);
+        assert.equal(game.submit(Game.SOLVED_STATE).won, false);
+        const result = game.submit(answer);
+        assert.equal(result.won, true);
+        assert.equal(result.solvedPieces, 20);
+        assert.equal(result.solvedStickers, 54);
+        assert.equal(game.guesses, 1);
+        assert.ok(game.score.every(guess => guess >= 0));
+    });
+
+    it('is over once the guess limit is reached, not counting the free guess', () => {
+        const game = new Game(applyMoves('U'), { maxGuesses: 2 });
+        game.submit(Game.SOLVED_STATE);
+        assert.equal(game.isOver(), false);
+        game.submit(Game.SOLVED_STATE);
+        assert.equal(game.isOver(), false);
+        game.submit(Game.SOLVED_STATE);
+        assert.equal(game.isOver(), true);
+    });
+});
+
+describe('Game.checkHardMode', () => {
+    it('allows any guess outside of hard mode', () => {
+        const game = new Game(applyMoves('R'));
+        game.submit(Game.SOLVED_STATE);
+        assert.equal(game.checkHardMode(applyMoves('U')), null);
+    });
+
+    it('names the first broken rule without translating it', () => {
+        const game = new Game(applyMoves('R'), { hardMode: true });
+        game.submit(Game.SOLVED_STATE);
+        assert.equal(game.checkHardMode(Game.SOLVED_STATE), null);
+        // U moves the correct top row of L away
+        assert.deepEqual(game.checkHardMode(applyMoves('U')), { rule: 'keep', color: 'L', face: 'L' });
+    });
+});
+
+describe('Game.isSolvable', () => {
+    it('accepts states reached by turning the faces', () => {
+        assert.equal(Game.isSolvable(Game.SOLVED_STATE), true);
+        assert.equal(Game.isSolvable(applyMoves("R U R' U' F2 D L' B")), true);
+    });
+
+    it('rejects missing pieces', () => {
+        const state = [...Game.SOLVED_STATE];
+        state[0] = -1;
+        assert.equal(Game.isSolvable(state), false);
+    });
+
+    it('rejects a single swap of two pieces', () => {
+        const state = [...Game.SOLVED_STATE];
+        [state[0], state[1]] = [state[1], state[0]];
+        assert.equal(Game.isSolvable(state), false);
+    });
+
+    it('rejects a single flipped edge or twisted corner', () => {
+        const flipped = [...Game.SOLVED_STATE];
+        flipped[20] = 1;
+        assert.equal(Game.isSolvable(flipped), false);
+        const twisted = [...Game.SOLVED_STATE];
+        twisted[32] = 1;
+        assert.equal(Game.isSolvable(twisted), false);
+    });
+});
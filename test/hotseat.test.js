@@ -0,0 +1,26 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import HotSeat from '../hotseat.js';
+import Storage from '../storage.js';
+
+const CHALLENGE = { difficulty: 'full', seed: 'abc' };
+
+describe('HotSeat', () => {
+    it('keeps the rules the match was started with', () => {
+        const storage = Storage.memory().namespace('hotseat_');
+        new HotSeat(storage).start(['Ann', 'Bo'], CHALLENGE, { maxGuesses: 4, hardMode: true });
+        assert.deepEqual(new HotSeat(storage).match.rules, { maxGuesses: 4, hardMode: true });
+    });
+
+    it('passes the cube to the next player still playing', () => {
+        const hotSeat = new HotSeat(Storage.memory().namespace('hotseat_'));
+        hotSeat.start(['Ann', 'Bo', 'Cy'], CHALLENGE, { maxGuesses: 6, hardMode: false });
+        assert.equal(hotSeat.getPlayer(), 'Ann');
+        hotSeat.play({ guesses: 1, stickers: 54, won: true, over: true });
+        assert.equal(hotSeat.getPlayer(), 'Bo');
+        hotSeat.play({ guesses: 1, stickers: 30, won: false, over: false });
+        hotSeat.play({ guesses: 1, stickers: 30, won: false, over: false });
+        assert.equal(hotSeat.getPlayer(), 'Bo');
+        assert.equal(hotSeat.isOver(), false);
+    });
+});
@@ -0,0 +1,23 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import KeyMap from '../keymap.js';
+import Storage from '../storage.js';
+
+describe('KeyMap.bind', () => {
+    it('gives the action that had the key the previous key of the rebound action', () => {
+        const keyMap = new KeyMap(Storage.memory());
+        assert.equal(keyMap.bind('up', 'a'), true);
+        assert.equal(keyMap.keys.up, 'a');
+        assert.equal(keyMap.keys.left, 'w');
+    });
+
+    it('never binds a modifier on its own', () => {
+        const storage = Storage.memory();
+        const keyMap = new KeyMap(storage);
+        for (const key of KeyMap.MODIFIERS) {
+            assert.equal(keyMap.bind('submit', key), false);
+        }
+        assert.equal(keyMap.keys.submit, 'Enter');
+        assert.equal(storage.get('keyMap'), null);
+    });
+});
@@ -0,0 +1,25 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import Share from '../share.js';
+
+describe('Share', () => {
+    it('uses a different square for every kind of feedback, unsolved pieces and the padding of the net', () => {
+        const squares = [...Object.values(Share.SQUARES), Share.UNSOLVED, Share.BLANK];
+        assert.equal(new Set(squares).size, squares.length);
+    });
+
+    it('draws the feedback as a net', () => {
+        const feedback = '.'.repeat(9) + 'X'.repeat(9) + '/'.repeat(9) + '.'.repeat(27);
+        const net = Share.getNet(feedback);
+        assert.equal(net.length, 9);
+        assert.equal(net[0], Share.BLANK.repeat(3) + Share.SQUARES['.'].repeat(3));
+        assert.equal(net[3], Share.SQUARES.X.repeat(3) + Share.SQUARES['/'].repeat(3) + Share.SQUARES['.'].repeat(6));
+    });
+
+    it('marks unsolved pieces apart from crossed out stickers', () => {
+        const [edges, corners] = Share.getPieceSummary([...Array(12).fill(0), ...Array(8).fill(-1)]);
+        assert.equal(edges, Share.DIGITS[0].repeat(12));
+        assert.equal(corners, Share.UNSOLVED.repeat(8));
+        assert.ok(!corners.includes(Share.SQUARES.X));
+    });
+});
@@ -0,0 +1,143 @@
+import 'fake-indexeddb/auto';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import Storage from '../storage.js';
+
+describe('Storage.migrate', () => {
+    it('folds the colors of every cubie into one key per game', () => {
+        const storage = Storage.memory({
+            daily_UF: 'FU',
+            daily_UFR: 'RUF',
+            trainer_U: 'U',
+            trainer_seed: '123',
+            archive_12_DBR: 'DBR',
+            daily_guesses: '3',
+            // Saved before there were modes
+            UF: 'UF',
+        });
+        storage.migrate();
+        assert.deepEqual(storage.getJSON('daily_cubies'), { UF: 'FU', UFR: 'RUF' });
+        assert.deepEqual(storage.getJSON('trainer_full-123_cubies'), { U: 'U' });
+        assert.deepEqual(storage.getJSON('archive_12_cubies'), { DBR: 'DBR' });
+        assert.equal(storage.get('daily_guesses'), '3');
+        for (const key of ['daily_UF', 'daily_UFR', 'trainer_U', 'archive_12_DBR', 'UF']) {
+            assert.equal(storage.get(key), null);
+        }
+    });
+
+    it('stores the daily offset in minutes instead of hours', () => {
+        const storage = Storage.memory({ [Storage.VERSION_KEY]: '2', dailyOffset: '-3' });
+        storage.migrate();
+        assert.equal(storage.get('dailyOffset'), '-180');
+        const unset = Storage.memory({ [Storage.VERSION_KEY]: '2' });
+        unset.migrate();
+        assert.equal(unset.get('dailyOffset'), null);
+    });
+
+    it('moves the trainer game to the namespace of its code', () => {
+        const storage = Storage.memory({
+            [Storage.VERSION_KEY]: '3',
+            trainerDifficulty: 'edges',
+            trainer_seed: '123',
+            trainer_guesses: '2',
+        });
+        storage.migrate();
+        assert.equal(storage.get('trainerGame'), 'edges-123');
+        assert.deepEqual(storage.keys().filter(key => key.startsWith('trainer_')), ['trainer_edges-123_guesses']);
+        const unseeded = Storage.memory({ [Storage.VERSION_KEY]: '3', trainer_guesses: '2' });
+        unseeded.migrate();
+        assert.deepEqual(unseeded.keys(), [Storage.VERSION_KEY]);
+    });
+
+    it('brings storage without a version up to the current version', () => {
+        const storage = Storage.memory();
+        assert.equal(storage.getVersion(), 1);
+        storage.migrate();
+        assert.equal(storage.getVersion(), Storage.VERSION);
+    });
+
+    it('leaves storage of the current version alone', () => {
+        const storage = Storage.memory({ [Storage.VERSION_KEY]: String(Storage.VERSION), daily_UF: 'FU' });
+        storage.migrate();
+        assert.equal(storage.get('daily_UF'), 'FU');
+        assert.equal(storage.get('daily_cubies'), null);
+    });
+
+    it('leaves storage of newer versions alone', () => {
+        const newer = Storage.VERSION + 1;
+        const storage = Storage.memory({ [Storage.VERSION_KEY]: String(newer), daily_UF: 'FU' });
+        storage.migrate();
+        assert.equal(storage.getVersion(), newer);
+        assert.equal(storage.get('daily_UF'), 'FU');
+    });
+});
+
+describe('Storage.namespace', () => {
+    it('keeps the keys of every namespace apart', () => {
+        const storage = Storage.memory({ language: 'de' });
+        const daily = storage.namespace('daily_');
+        const trainer = storage.namespace('trainer_');
+        daily.set('guesses', 2);
+        daily.setJSON('score', [0, -1]);
+        trainer.set('guesses', 5);
+        assert.equal(daily.get('guesses'), '2');
+        assert.deepEqual(daily.getJSON('score'), [0, -1]);
+        assert.equal(trainer.get('guesses'), '5');
+        assert.equal(storage.get('daily_guesses'), '2');
+        assert.deepEqual(daily.keys().sort(), ['guesses', 'score']);
+    });
+
+    it('only clears its own keys', () => {
+        const storage = Storage.memory({ language: 'de', daily_guesses: '2', trainer_guesses: '5' });
+        storage.namespace('daily_').clear();
+        assert.deepEqual(storage.keys().sort(), ['language', 'trainer_guesses']);
+    });
+
+    it('nests namespaces', () => {
+        const storage = Storage.memory();
+        storage.namespace('hotseat_').namespace('1_').set('guesses', 3);
+        assert.equal(storage.get('hotseat_1_guesses'), '3');
+        assert.deepEqual(storage.namespace('hotseat_').keys(), ['1_guesses']);
+    });
+});
+
+describe('Storage.GAME_PREFIX', () => {
+    it('matches the namespaces of games', () => {
+        const prefixes = ['daily_', 'trainer_moves3-123_', 'archive_12_', 'challenge_full-123_', 'hotseat_'];
+        for (const prefix of prefixes) {
+            assert.equal(`${prefix}guesses`.match(Storage.GAME_PREFIX)[1], prefix);
+        }
+    });
+
+    it('does not match settings', () => {
+        for (const key of ['language', 'hardMode', 'dailyOffset', 'trainerGame', 'statistics', Storage.VERSION_KEY]) {
+            assert.equal(Storage.GAME_PREFIX.test(key), false);
+        }
+    });
+});
+
+describe('Storage.indexedDB', () => {
+    it('keeps values in the database', async () => {
+        const storage = await Storage.indexedDB('test-values');
+        storage.namespace('daily_').set('guesses', 2);
+        storage.setJSON('language', 'de');
+        storage.set('removed', 1);
+        storage.remove('removed');
+        assert.equal(storage.get('daily_guesses'), '2');
+        // Opening the database again reads what the writes above left in it
+        const reopened = await Storage.indexedDB('test-values');
+        assert.equal(reopened.namespace('daily_').get('guesses'), '2');
+        assert.equal(reopened.getJSON('language'), 'de');
+        assert.equal(reopened.get('removed'), null);
+        assert.deepEqual(reopened.keys().sort(), ['daily_guesses', 'language']);
+    });
+
+    it('migrates like every other storage', async () => {
+        const storage = await Storage.indexedDB('test-migration');
+        storage.set('daily_UF', 'FU');
+        storage.migrate();
+        const reopened = await Storage.indexedDB('test-migration');
+        assert.equal(reopened.getVersion(), Storage.VERSION);
+        assert.deepEqual(reopened.getJSON('daily_cubies'), { UF: 'FU' });
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Clock of a timed game. Times are kept in the storage of the game, so the clock keeps running across reloads. The
+ * stopwatch counts up, blitz counts down from a time limit and ends the game when it runs out.
+ */
+export default class Timer {
+    static MODES = ['off', 'stopwatch', 'blitz'];
+    // Time limits of blitz games in minutes
+    static LIMITS = [1, 2, 3, 5, 10, 15];
+    static MINUTE = 60 * 1000;
+
+    /**
+     * @param {Storage} storage storage of the game
+     * @param {object} rules clock (one of MODES) and timeLimit (minutes, for blitz) of the game
+     */
+    constructor(storage, { clock = 'off', timeLimit = 5 } = {}) {
+        this.storage = storage;
+        this.setRules({ clock, timeLimit });
+    }
+
+    setRules({ clock, timeLimit }) {
+        this.mode = Timer.MODES.includes(clock) ? clock : 'off';
+        this.timeLimit = timeLimit;
+    }
+
+    isEnabled() {
+        return this.mode !== 'off';
+    }
+
+    /**
+     * Start the clock, unless it was started before.
+     * @param {number} now current time in milliseconds
+     */
+    start(now = Date.now()) {
+        if (this.storage.get('clockStart') === null) {
+            this.storage.set('clockStart', now);
+        }
+    }
+
+    /**
+     * Forget all times taken so far, so the clock can be started over.
+     */
+    reset() {
+        for (const key of ['clockStart', 'clockStop', 'splits']) {
+            this.storage.remove(key);
+        }
+    }
+
+    /**
+     * Stop the clock for good, once the game is over.
+     * @param {number} now current time in milliseconds
+     */
+    stop(now = Date.now()) {
+        if (this.storage.get('clockStart') !== null && this.storage.get('clockStop') === null) {
+            // A blitz clock can't show more than the time limit, even if the page was closed when it ran out
+            this.storage.set('clockStop', Math.min(now, parseInt(this.storage.get('clockStart')) + this.getLimit()));
+        }
+    }
+
+    isStopped() {
+        return this.storage.get('clockStop') !== null;
+    }
+
+    /**
+     * @param {number} now current time in milliseconds
+     * @returns {number} milliseconds since the clock started, until it stopped
+     */
+    getElapsed(now = Date.now()) {
+        const start = parseInt(this.storage.get('clockStart'));
+        if (isNaN(start)) return 0;
+        const stop = parseInt(this.storage.get('clockStop'));
+        return (isNaN(stop) ? now : stop) - start;
+    }
+
+    getLimit() {
+        return this.mode === 'blitz' ? this.timeLimit * Timer.MINUTE : Infinity;
+    }
+
+    /**
+     * @param {number} now current time in milliseconds
+     * @returns {number} milliseconds left before a blitz game is lost
+     */
+    getRemaining(now = Date.now()) {
+        return Math.max(this.getLimit() - this.getElapsed(now), 0);
+    }
+
+    isTimeUp(now = Date.now()) {
+        return this.getRemaining(now) === 0;
+    }
+
+    /**
+     * Record the time a guess was made at. Guesses are checked again when the page loads, so the first time
+     * recorded for a guess is kept.
+     * @param {number} guess number of the guess
+     * @param {number} now current time in milliseconds
+     */
+    split(guess, now = Date.now()) {
+        const splits = this.getSplits();
+        if (typeof splits[guess] !== 'number') {
+            splits[guess] = this.getElapsed(now);
+            this.storage.setJSON('splits', splits);
+        }
+    }
+
+    /**
+     * @returns {Array<number|null>} milliseconds from the start of the clock to every guess, indexed by guess
+     */
+    getSplits() {
+        return this.storage.getJSON('splits') || [];
+    }
+
+    /**
+     * @param {number} milliseconds duration
+     * @returns {string} duration as minutes, seconds and tenths, like 1:05.3
+     */
+    static format(milliseconds) {
+        const tenths = Math.floor(milliseconds / 100);
+        const seconds = String(Math.floor(tenths / 10) % 60).padStart(2, '0');
+        return `${Math.floor(tenths / 600)}:${seconds}.${tenths % 10}`;
+    }
+
+    /**
+     * @param {string} text duration in the format of Timer.format
+     * @returns {number|null} duration in milliseconds, or null if the text is not a duration
+     */
+    static parse(text) {
+        const match = text.match(/^(\d+):([0-5]\d)\.(\d)$/);
+        return match ? (parseInt(match[1]) * 60 + parseInt(match[2])) * 1000 + parseInt(match[3]) * 100 : null;
+    }
+}
@@ -0,0 +1,160 @@
+import RubiksCubeSolver from './lib/solver.js';
+import Cube3D from './cube3d.js';
+import I18n from './i18n.js';
+import Notation from './notation.js';
+
+export default class Walkthrough {
+    // Milliseconds to wait between moves while playing
+    static INTERVAL = 500;
+
+    /**
+     * Set up the panel that replays how the hidden scramble is reached from a solved cube.
+     * @param {Cube3D} cube 3D cube to replay the moves on
+     * @param {Array<number>} answerState 40 numbers describing the hidden scramble
+     */
+    constructor(cube, answerState) {
+        this.cube = cube;
+        this.answerState = answerState;
+        // Filled in lazily since solving takes a noticeable amount of time
+        this.moves = null;
+        this.states = null;
+        this.step = 0;
+        this.busy = false;
+        this.playing = false;
+        // Incremented on every pause so that stale playback callbacks stop
+        this.run = 0;
+        this.timer = null;
+
+        this.panel = document.getElementById('solution');
+        this.status = document.getElementById('solution-status');
+        this.list = document.getElementById('solution-moves');
+        this.play = document.getElementById('solution-play');
+        document.getElementById('solution-back').onclick = () => {
+            this.pause();
+            this.back();
+        };
+        document.getElementById('solution-forward').onclick = () => {
+            this.pause();
+            this.forward();
+        };
+        document.getElementById('solution-close').onclick = () => this.close();
+        this.play.onclick = () => this.playing ? this.pause() : this.resume();
+    }
+
+    open() {
+        if (this.panel.style.display === 'block') return;
+        this.panel.style.display = 'block';
+        // Past guesses cannot be browsed while the cube is busy showing the scramble
+        document.getElementById('history').style.visibility = 'hidden';
+        // Remember the guess so it can be shown again once the walkthrough is closed
+        this.guess = [...this.cube.permutation, ...this.cube.orientation];
+        if (this.moves === null) {
+            this.solve();
+        } else {
+            this.goTo(this.step);
+        }
+    }
+
+    close() {
+        this.pause();
+        this.panel.style.display = 'none';
+        document.getElementById('history').style.visibility = 'visible';
+        this.cube.turns.then(() => this.cube.setState(this.guess));
+    }
+
+    solve() {
+        const solver = new RubiksCubeSolver();
+        solver.currentState = [...this.answerState];
+        solver.goalState = [...Cube3D.SOLVED_STATE];
+        this.status.innerText = I18n.t('solution.solving');
+        this.play.disabled = true;
+        solver.solveAsync(null, solution => {
+            if (solution === false) {
+                this.status.innerText = I18n.t('solution.failed');
+                return;
+            }
+            // The solver brings the scramble back to solved, so undo it to get from solved to the scramble
+            this.moves = solution.split(' ').filter(move => move).reverse().map(Notation.invert);
+            this.states = [[...Cube3D.SOLVED_STATE]];
+            for (const move of Notation.parse(this.moves.join(' '))) {
+                this.states.push(Notation.apply([move], this.states[this.states.length - 1]));
+            }
+            this.list.replaceChildren();
+            this.moves.forEach((move, i) => {
+                const span = this.list.appendChild(document.createElement('span'));
+                span.innerText = move;
+                span.onclick = () => {
+                    this.pause();
+                    this.goTo(i + 1);
+                };
+            });
+            this.play.disabled = false;
+            if (this.panel.style.display === 'block') {
+                this.goTo(0);
+            }
+        }, progress => this.status.innerText =
+            I18n.t('solution.progress', { percent: Math.round(progress * 100) }));
+    }
+
+    resume() {
+        // Start over when the scramble has already been played to the end
+        if (this.step === this.moves.length) {
+            this.goTo(0);
+        }
+        this.playing = true;
+        this.play.innerText = '⏸';
+        this.next(this.run);
+    }
+
+    next(run) {
+        if (run !== this.run) return;
+        if (this.step === this.moves.length) {
+            this.pause();
+            return;
+        }
+        this.forward().then(() => {
+            if (run === this.run) {
+                this.timer = setTimeout(() => this.next(run), Walkthrough.INTERVAL);
+            }
+        });
+    }
+
+    pause() {
+        this.run++;
+        clearTimeout(this.timer);
+        this.playing = false;
+        this.play.innerText = '▶';
+    }
+
+    forward() {
+        if (this.busy || this.states === null || this.step === this.moves.length) return Promise.resolve();
+        this.busy = true;
+        return this.cube.move(this.moves[this.step]).then(() => {
+            this.busy = false;
+            this.show(this.step + 1);
+        });
+    }
+
+    back() {
+        if (this.busy || this.states === null || this.step === 0) return Promise.resolve();
+        this.busy = true;
+        return this.cube.move(Notation.invert(this.moves[this.step - 1])).then(() => {
+            this.busy = false;
+            this.show(this.step - 1);
+        });
+    }
+
+    goTo(step) {
+        if (this.busy || this.states === null) return;
+        this.cube.setState(this.states[step]);
+        this.show(step);
+    }
+
+    show(step) {
+        this.step = step;
+        this.status.innerText = I18n.t('solution.step', { step: this.step, total: this.moves.length });
+        for (let i = 0; i < this.list.children.length; i++) {
+            this.list.children[i].classList.toggle('current', i === this.step - 1);
+        }
+    }
+}